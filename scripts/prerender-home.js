@@ -11,11 +11,20 @@ if (proxyUrl) {
 
 const API_URL = 'https://api.elixiary.com/v1/list';
 const POST_API_URL = 'https://api.elixiary.com/v1/post';
+const POSTS_API_URL = 'https://api.elixiary.com/v1/posts';
+const REDIRECTS_API_URL = 'https://api.elixiary.com/v1/redirects';
+const RESERVED_DIST_DIRS = new Set(['assets']);
+const POSTS_BATCH_SIZE = 50;
 const OUTPUT_PATH = path.join(__dirname, '..', 'dist', 'index.html');
 const SITEMAP_OUTPUT_PATH = path.join(__dirname, '..', 'dist', 'sitemap.xml');
 const SITE_ORIGIN = 'https://www.elixiary.com';
 const USER_AGENT = 'ElixiaryBuildBot/1.0 (+https://www.elixiary.com)';
 const HOMEPAGE_RECIPE_LIMIT = 30;
+const RECIPE_LIST_FIELDS = [
+  'slug', 'name', 'date', 'category', 'difficulty', 'prep_time', 'tags', 'mood_labels',
+  'image_url', 'image_thumb', 'ingredients', 'instructions', 'glass', 'garnish', 'cook_time', 'total_time',
+  'alcohol_content'
+];
 const RECIPE_DETAIL_MAX_RETRIES = 5;
 const RECIPE_DETAIL_RETRY_DELAY_MS = 500;
 const RECIPE_DETAIL_MAX_RETRY_DELAY_MS = 5000;
@@ -393,10 +402,12 @@ async function fetchRecipes() {
   const seenSlugs = new Set();
 
   let page = 1;
+  let cursor = '';
   let hasMore = true;
 
   while (hasMore) {
-    const response = await fetch(`${API_URL}?page=${page}`, {
+    const query = cursor ? `cursor=${encodeURIComponent(cursor)}` : `page=${page}`;
+    const response = await fetch(`${API_URL}?fields=${RECIPE_LIST_FIELDS.join(',')}&${query}`, {
       headers: {
         Accept: 'application/json',
         'User-Agent': USER_AGENT
@@ -427,6 +438,7 @@ async function fetchRecipes() {
     allRecipes.push(...pageRecipes);
 
     hasMore = Boolean(payload.has_more);
+    cursor = typeof payload.next_cursor === 'string' ? payload.next_cursor : '';
     page += 1;
 
     if (hasMore && !payload.posts.length) {
@@ -487,6 +499,37 @@ async function delay(ms) {
   await new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+async function fetchRecipeDetails(slugs) {
+  const details = new Map();
+
+  for (let i = 0; i < slugs.length; i += POSTS_BATCH_SIZE) {
+    const chunk = slugs.slice(i, i + POSTS_BATCH_SIZE);
+    try {
+      const response = await fetch(`${POSTS_API_URL}?slugs=${chunk.map(encodeURIComponent).join(',')}`, {
+        headers: {
+          Accept: 'application/json',
+          'User-Agent': USER_AGENT
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const payload = await response.json();
+      for (const post of Array.isArray(payload?.posts) ? payload.posts : []) {
+        if (post?.slug) {
+          details.set(post.slug, post);
+        }
+      }
+    } catch (error) {
+      console.warn('Batch recipe fetch failed; falling back to per-recipe requests:', error.message || error);
+    }
+  }
+
+  return details;
+}
+
 async function fetchRecipeDetail(slug) {
   if (!slug) return null;
   const target = `${POST_API_URL}/${encodeURIComponent(slug)}`;
@@ -884,6 +927,61 @@ function setCanonicalMeta($, canonicalUrl) {
   }
 }
 
+async function fetchRedirects() {
+  try {
+    const response = await fetch(REDIRECTS_API_URL, {
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': USER_AGENT
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    const payload = await response.json();
+    return payload && payload.redirects && typeof payload.redirects === 'object' ? payload.redirects : {};
+  } catch (error) {
+    console.warn('Unable to fetch slug redirects; skipping redirect stubs:', error.message || error);
+    return {};
+  }
+}
+
+function buildRedirectStub(targetSlug) {
+  const target = `${SITE_ORIGIN}/${encodeURIComponent(targetSlug)}`;
+  const href = escapeHtml(target);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Redirecting…</title>
+<meta name="robots" content="noindex">
+<link rel="canonical" href="${href}">
+<meta http-equiv="refresh" content="0; url=${href}">
+<script>location.replace(${JSON.stringify(target)});</script>
+</head>
+<body>
+<p>This recipe has moved to <a href="${href}">${href}</a>.</p>
+</body>
+</html>
+`;
+}
+
+async function generateRedirectStubs(redirects, validSlugs) {
+  const written = new Set();
+  for (const [oldSlug, targetSlug] of Object.entries(redirects)) {
+    if (!/^[a-z0-9-]+$/.test(oldSlug) || RESERVED_DIST_DIRS.has(oldSlug)) continue;
+    if (validSlugs.has(oldSlug) || !validSlugs.has(targetSlug)) continue;
+    const outputDir = path.join(__dirname, '..', 'dist', oldSlug);
+    await fs.mkdir(outputDir, { recursive: true });
+    await fs.writeFile(path.join(outputDir, 'index.html'), buildRedirectStub(targetSlug), 'utf8');
+    written.add(oldSlug);
+  }
+  if (written.size) {
+    console.log(`Generated ${written.size} redirect stubs for renamed recipes.`);
+  }
+  return written;
+}
+
 async function cleanupStaleRecipePages(validSlugs) {
   const distDir = path.join(__dirname, '..', 'dist');
   let entries = [];
@@ -894,11 +992,9 @@ async function cleanupStaleRecipePages(validSlugs) {
     return;
   }
 
-  const reservedDirs = new Set(['assets']);
-
   for (const entry of entries) {
     if (!entry.isDirectory()) continue;
-    if (reservedDirs.has(entry.name)) continue;
+    if (RESERVED_DIST_DIRS.has(entry.name)) continue;
     if (validSlugs.has(entry.name)) continue;
 
     const candidate = path.join(distDir, entry.name, 'index.html');
@@ -930,6 +1026,12 @@ async function generateRecipePages(recipes, baseHtml) {
   }
 
   const successfulSlugs = new Set();
+  const hasDetail = (recipe) => RECIPE_LIST_FIELDS.every((field) => field in recipe);
+  const pendingSlugs = recipes
+    .filter((recipe) => !hasDetail(recipe))
+    .map((recipe) => String(recipe.slug || '').trim())
+    .filter(Boolean);
+  const batchedDetails = pendingSlugs.length ? await fetchRecipeDetails(pendingSlugs) : new Map();
 
   for (const recipe of recipes) {
     const slug = String(recipe.slug || '').trim();
@@ -938,7 +1040,9 @@ async function generateRecipePages(recipes, baseHtml) {
     }
 
     try {
-      const detail = await fetchRecipeDetail(slug);
+      const detail = hasDetail(recipe)
+        ? recipe
+        : (batchedDetails.get(slug) || await fetchRecipeDetail(slug));
       const canonicalUrl = `${SITE_ORIGIN}/${encodeURIComponent(slug)}`;
       const detailHtml = buildRecipePage(baseHtml, baseStructuredData, detail, canonicalUrl);
 
@@ -953,7 +1057,8 @@ async function generateRecipePages(recipes, baseHtml) {
   }
 
   const validSlugs = new Set(recipes.map((recipe) => String(recipe.slug || '').trim()).filter(Boolean));
-  await cleanupStaleRecipePages(validSlugs);
+  const redirectSlugs = await generateRedirectStubs(await fetchRedirects(), validSlugs);
+  await cleanupStaleRecipePages(new Set([...validSlugs, ...redirectSlugs]));
 
   console.log(`Generated ${successfulSlugs.size} recipe detail pages.`);
 }
@@ -6,19 +6,61 @@ export function getListCacheTtlSeconds(env) {
   return Math.max(60, Math.min(120, raw));
 }
 
-export function normalizeListQueryParams(q, tag, cat, mood) {
+export const LIST_FILTER_FACETS = Object.freeze(['tag', 'category', 'mood']);
+
+export function splitListParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const out = [];
+  for (const entry of values) {
+    if (entry === undefined || entry === null) continue;
+    for (const part of String(entry).split(',')) {
+      const trimmed = part.trim();
+      if (trimmed) out.push(trimmed);
+    }
+  }
+  return out;
+}
+
+function normalizeList(value) {
+  const set = new Set(splitListParam(value).map(v => v.toLowerCase()));
+  return Array.from(set).sort();
+}
+
+export function normalizeListQueryParams(q, tag, cat, mood, extra = {}) {
   const norm = (val) => String(val || '').trim().toLowerCase();
   return {
     q: norm(q).replace(/\s+/g, ' '),
-    tag: norm(tag),
-    category: norm(cat),
-    mood: norm(mood)
+    tag: normalizeList(tag),
+    category: normalizeList(cat),
+    mood: normalizeList(mood),
+    exclude_tag: normalizeList(extra.exclude_tag),
+    exclude_category: normalizeList(extra.exclude_category),
+    exclude_mood: normalizeList(extra.exclude_mood),
+    ingredient: normalizeList(extra.ingredient).map(v => v.replace(/\s+/g, ' ')),
+    strength: normalizeList(extra.strength)
   };
 }
 
+export function hasListFilters(normalized) {
+  if (!normalized) return false;
+  if (normalized.q) return true;
+  if (normalized.ingredient && normalized.ingredient.length) return true;
+  if (normalized.strength && normalized.strength.length) return true;
+  return LIST_FILTER_FACETS.some(facet => (
+    (normalized[facet] && normalized[facet].length)
+    || (normalized[`exclude_${facet}`] && normalized[`exclude_${facet}`].length)
+  ));
+}
+
 export function buildListCacheKey(etag, params) {
-  const { q, tag, category, mood, page, size } = params;
-  const payload = JSON.stringify([q, tag, category, mood, page, size]);
+  const { q, tag, category, mood, sort, page, size } = params;
+  const excludes = [params.exclude_tag || [], params.exclude_category || [], params.exclude_mood || []];
+  const ingredient = params.ingredient || [];
+  const strength = params.strength || [];
+  const fields = Array.isArray(params.fields) ? params.fields.join(',') : '';
+  const parts = [q, tag, category, mood, excludes, ingredient, strength, sort || '-date', fields, page, size];
+  if (params.cursor) parts.push(params.cursor);
+  const payload = JSON.stringify(parts);
   return `list_v1:${etag}:${payload}`;
 }
 
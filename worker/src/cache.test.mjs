@@ -1,21 +1,55 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { normalizeListQueryParams, buildListCacheKey, createListCache } from './cache.js';
+import { normalizeListQueryParams, buildListCacheKey, createListCache, hasListFilters } from './cache.js';
 
 test('normalizeListQueryParams trims and lowercases values', () => {
   const normalized = normalizeListQueryParams('  Foo BAR  ', ' Citrus ', ' Fresh ', ' HAPPY ');
   assert.deepEqual(normalized, {
     q: 'foo bar',
-    tag: 'citrus',
-    category: 'fresh',
-    mood: 'happy'
+    tag: ['citrus'],
+    category: ['fresh'],
+    mood: ['happy'],
+    exclude_tag: [],
+    exclude_category: [],
+    exclude_mood: [],
+    ingredient: [],
+    strength: []
   });
 });
 
+test('normalizeListQueryParams splits, dedupes and sorts multi-value filters', () => {
+  const normalized = normalizeListQueryParams('', ['Sour', 'tiki'], '', 'citrusy, Bubbly,citrusy', { exclude_tag: 'Creamy', ingredient: ['Campari', 'sweet  vermouth'] });
+  assert.deepEqual(normalized.tag, ['sour', 'tiki']);
+  assert.deepEqual(normalized.mood, ['bubbly', 'citrusy']);
+  assert.deepEqual(normalized.exclude_tag, ['creamy']);
+  assert.deepEqual(normalized.ingredient, ['campari', 'sweet vermouth']);
+  assert.ok(hasListFilters(normalized));
+  assert.ok(hasListFilters(normalizeListQueryParams('', '', '', '', { strength: 'Strong' })));
+  assert.ok(!hasListFilters(normalizeListQueryParams('', '', '', '')));
+});
+
 test('buildListCacheKey includes all parameters', () => {
-  const key = buildListCacheKey('etag123', { q: 'a', tag: 'b', category: 'c', mood: 'd', page: 2, size: 10 });
-  assert.equal(key, 'list_v1:etag123:["a","b","c","d",2,10]');
+  const key = buildListCacheKey('etag123', {
+    q: 'a', tag: ['b'], category: ['c'], mood: ['d'], exclude_tag: ['e'], ingredient: ['f'], strength: ['g'], sort: 'name', fields: ['slug', 'name'], page: 2, size: 10
+  });
+  assert.equal(key, 'list_v1:etag123:["a",["b"],["c"],["d"],[["e"],[],[]],["f"],["g"],"name","slug,name",2,10]');
+});
+
+test('buildListCacheKey separates projections', () => {
+  const base = { q: '', tag: [], category: [], mood: [], page: 1, size: 12 };
+  assert.notEqual(
+    buildListCacheKey('etag', { ...base, fields: ['slug', 'name', 'image_thumb'] }),
+    buildListCacheKey('etag', { ...base, fields: ['slug', 'name', 'ingredients'] })
+  );
+});
+
+test('buildListCacheKey separates sort orders', () => {
+  const base = { q: '', tag: [], category: [], mood: [], page: 1, size: 12 };
+  const byDate = buildListCacheKey('etag', { ...base, sort: '-date' });
+  const byName = buildListCacheKey('etag', { ...base, sort: 'name' });
+  assert.notEqual(byDate, byName);
+  assert.equal(buildListCacheKey('etag', base), byDate);
 });
 
 test('list cache invalidates when etag changes', () => {
@@ -10,7 +10,17 @@ const indexService = createIndexService({ listCache });
 const fetchHandler = createFetchHandler({
   rateLimiter,
   handleList: indexService.handleList,
+  handlePantry: indexService.handlePantry,
+  handleSuggest: indexService.handleSuggest,
+  handleRelated: indexService.handleRelated,
+  handleRandom: indexService.handleRandom,
+  handleDaily: indexService.handleDaily,
   handlePost: indexService.handlePost,
+  handlePosts: indexService.handlePosts,
+  handleExport: indexService.handleExport,
+  handleTaxonomy: indexService.handleTaxonomy,
+  handleRedirects: indexService.handleRedirects,
+  handleValidation: indexService.handleValidation,
   getIndex: indexService.getIndex,
   serializeRow: indexService.serializeRow
 });
@@ -0,0 +1,108 @@
+export const DEFAULT_COLUMN_MAP = Object.freeze({
+  name: ['Name'],
+  slug: ['Slug'],
+  aliases: ['Aliases'],
+  status: ['Status'],
+  image_url: ['Image_URL', 'Image'],
+  category: ['Category'],
+  tags: ['Tags'],
+  mood_labels: ['Mood_Labels', 'Moods'],
+  prep_time: ['Prep_Time'],
+  cook_time: ['Cook_Time'],
+  total_time: ['Total_Time'],
+  difficulty: ['Difficulty'],
+  date: ['Date'],
+  ingredients: ['Ingredients_JSON', 'Ingredients'],
+  instructions: ['Instructions'],
+  glass: ['Glass'],
+  garnish: ['Garnish']
+});
+
+const RESERVED_KEYS = new Set([...Object.keys(DEFAULT_COLUMN_MAP), 'image_thumb', 'strength', 'alcohol_content']);
+
+export function canonHeader(value) {
+  return String(value || '').replace(/\uFEFF/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function passThroughKey(value) {
+  return String(value || '').replace(/\uFEFF/g, '').trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+export function parseColumnMap(raw) {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_COLUMN_MAP;
+  let overrides = raw;
+  if (typeof raw === 'string') {
+    try {
+      overrides = JSON.parse(raw);
+    } catch (err) {
+      console.warn('[Mixology] COLUMN_MAP is not valid JSON; using default columns', err);
+      return DEFAULT_COLUMN_MAP;
+    }
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return DEFAULT_COLUMN_MAP;
+
+  const map = { ...DEFAULT_COLUMN_MAP };
+  for (const [field, headers] of Object.entries(overrides)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_COLUMN_MAP, field)) continue;
+    const list = [].concat(headers ?? []).map(h => String(h ?? '').trim()).filter(Boolean);
+    if (list.length) map[field] = list;
+  }
+  return map;
+}
+
+export function resolveColumns(header, columnMap = DEFAULT_COLUMN_MAP) {
+  const cells = Array.isArray(header) ? header : [];
+  const positions = new Map();
+  cells.forEach((h, index) => {
+    const canonical = canonHeader(h);
+    if (canonical && !positions.has(canonical)) positions.set(canonical, index);
+  });
+
+  const lookup = new Map();
+  const fields = {};
+  const claimed = new Set();
+  for (const [field, headers] of Object.entries(columnMap)) {
+    for (const h of headers) {
+      const canonical = canonHeader(h);
+      if (canonical && !lookup.has(canonical)) lookup.set(canonical, field);
+      const index = positions.get(canonical);
+      if (index === undefined || claimed.has(index) || Object.prototype.hasOwnProperty.call(fields, field)) continue;
+      fields[field] = index;
+      claimed.add(index);
+    }
+  }
+
+  const extras = [];
+  const shadowed = [];
+  const extraKeys = new Set();
+  cells.forEach((h, index) => {
+    const canonical = canonHeader(h);
+    if (!canonical || claimed.has(index)) return;
+    const field = lookup.get(canonical);
+    if (field) {
+      shadowed.push({ index, header: String(h).trim(), field });
+      return;
+    }
+    let key = passThroughKey(h);
+    if (RESERVED_KEYS.has(key) || extraKeys.has(key)) key = '';
+    if (key) extraKeys.add(key);
+    extras.push({ index, header: String(h).trim(), key });
+  });
+  return { fields, extras, shadowed };
+}
+
+export function columnValue(row, columns, field) {
+  const index = columns && columns.fields ? columns.fields[field] : undefined;
+  return Number.isInteger(index) && Array.isArray(row) ? row[index] : undefined;
+}
+
+export function passThroughValues(row, columns) {
+  const out = {};
+  for (const { index, key } of (columns && columns.extras) || []) {
+    if (!key || !Array.isArray(row)) continue;
+    const value = String(row[index] ?? '').trim();
+    if (value) out[key] = value;
+  }
+  return out;
+}
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_COLUMN_MAP, parseColumnMap, resolveColumns, columnValue, passThroughValues } from './columns.js';
+
+test('resolveColumns maps known headers in any spelling and passes the rest through', () => {
+  const columns = resolveColumns(['Name', 'image url', 'Mood Labels', 'Prep_Time', 'Total Time', 'Source', 'Servings', 'Slug', 'Image_Thumb', 'Notes']);
+  assert.deepEqual(columns.fields, { name: 0, image_url: 1, mood_labels: 2, prep_time: 3, total_time: 4, slug: 7 });
+  assert.deepEqual(columns.extras, [
+    { index: 5, header: 'Source', key: 'source' },
+    { index: 6, header: 'Servings', key: 'servings' },
+    { index: 8, header: 'Image_Thumb', key: '' },
+    { index: 9, header: 'Notes', key: 'notes' }
+  ]);
+
+  const row = ['Daiquiri', '', 'citrusy', '5m', '10m', 'Havana, 1898', '', 'daiquiri', 'x', '  '];
+  assert.equal(columnValue(row, columns, 'total_time'), '10m');
+  assert.equal(columnValue(row, columns, 'glass'), undefined);
+  assert.deepEqual(passThroughValues(row, columns), { source: 'Havana, 1898' });
+});
+
+test('parseColumnMap overrides fields from env JSON and ignores anything else', () => {
+  const map = parseColumnMap('{"name": "Cocktail", "prep_time": ["Prep", "Prep Minutes"], "unknown": "X"}');
+  assert.deepEqual(map.name, ['Cocktail']);
+  assert.deepEqual(map.prep_time, ['Prep', 'Prep Minutes']);
+  assert.equal(map.unknown, undefined);
+  assert.equal(map.glass, DEFAULT_COLUMN_MAP.glass);
+
+  assert.deepEqual(resolveColumns(['Cocktail', 'Name'], map).fields, { name: 0 });
+  assert.deepEqual(resolveColumns(['Cocktail', 'Name'], map).extras, [{ index: 1, header: 'Name', key: '' }]);
+  assert.equal(parseColumnMap('{not json'), DEFAULT_COLUMN_MAP);
+  assert.equal(parseColumnMap(undefined), DEFAULT_COLUMN_MAP);
+});
+
+test('resolveColumns prefers aliases in map order and reports the columns they shadow', () => {
+  const columns = resolveColumns(['Name', 'Ingredients', 'Ingredients_JSON', 'Date', 'Image', 'Image_URL', 'Moods', 'Mood_Labels', 'Name']);
+  assert.deepEqual(columns.fields, { name: 0, image_url: 5, mood_labels: 7, date: 3, ingredients: 2 });
+  assert.deepEqual(columns.extras, []);
+  assert.deepEqual(columns.shadowed, [
+    { index: 1, header: 'Ingredients', field: 'ingredients' },
+    { index: 4, header: 'Image', field: 'image_url' },
+    { index: 6, header: 'Moods', field: 'mood_labels' },
+    { index: 8, header: 'Name', field: 'name' }
+  ]);
+
+  assert.deepEqual(resolveColumns(['Name', 'Ingredients']).fields, { name: 0, ingredients: 1 });
+});
@@ -0,0 +1,65 @@
+import { compareSortKeys, sortKeyFor } from './sorting.js';
+import { base64UrlDecode, base64UrlEncode, hashString } from '../utils.js';
+
+const CURSOR_VERSION = 1;
+
+export function listFingerprint(normalized, sort) {
+  const { q, tag, category, mood, exclude_tag, exclude_category, exclude_mood, ingredient, strength } = normalized || {};
+  const payload = JSON.stringify([q, tag, category, mood, exclude_tag, exclude_category, exclude_mood, ingredient, strength, sort]);
+  return hashString(payload).toString(36);
+}
+
+export function encodeCursor({ fingerprint, sort, key, date, slug, offset }) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify({ v: CURSOR_VERSION, f: fingerprint, s: sort, k: key ?? null, d: date ?? null, id: slug, o: offset })));
+}
+
+export function decodeCursor(raw) {
+  const value = String(raw || '').trim();
+  if (!value || !/^[A-Za-z0-9_-]+$/.test(value)) return null;
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(base64UrlDecode(value)));
+  } catch {
+    return null;
+  }
+  if (!data || data.v !== CURSOR_VERSION || typeof data.s !== 'string' || typeof data.id !== 'string') return null;
+  const offset = Number(data.o);
+  return {
+    fingerprint: String(data.f || ''),
+    sort: data.s,
+    key: data.k ?? null,
+    date: typeof data.d === 'string' ? data.d : null,
+    slug: data.id,
+    offset: Number.isInteger(offset) && offset >= 0 ? offset : 0
+  };
+}
+
+export function cursorAfter(row, { fingerprint, sort, offset }) {
+  return encodeCursor({ fingerprint, sort, key: sortKeyFor(row, sort), date: row ? String(row.date || '') : null, slug: row && row.slug, offset });
+}
+
+function compareToCursor(row, { sort, key, date, slug }) {
+  const cmp = compareSortKeys(sortKeyFor(row, sort), key, sort);
+  if (cmp !== 0) return cmp;
+  if (date !== null) {
+    const dateCmp = date.localeCompare(String(row.date || ''));
+    if (dateCmp !== 0) return dateCmp;
+  }
+  return String(row.slug || '').localeCompare(slug);
+}
+
+export function resolveCursorStart(idx, ordered, cursor) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const { sort, key, slug, offset } = cursor;
+  const fallback = Math.min(offset, ordered.length);
+
+  const at = ordered.findIndex(pos => rows[pos] && rows[pos].slug === slug);
+  if (at >= 0 && (sort === 'relevance' || compareSortKeys(sortKeyFor(rows[ordered[at]], sort), key, sort) === 0)) {
+    return at + 1;
+  }
+
+  if (sort === 'relevance') return fallback;
+
+  const next = ordered.findIndex(pos => rows[pos] && compareToCursor(rows[pos], cursor) > 0);
+  return next < 0 ? ordered.length : next;
+}
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeCursor, decodeCursor, resolveCursorStart, cursorAfter, listFingerprint } from './cursor.js';
+
+function fakeIndex(names) {
+  return { rows: names.map(name => ({ name, slug: name.toLowerCase().replace(/\s+/g, '-') })) };
+}
+
+test('cursors round-trip and reject tampered input', () => {
+  const raw = encodeCursor({ fingerprint: 'abc', sort: 'name', key: 'Ñandú Sour', slug: 'nandu-sour', offset: 12 });
+  assert.match(raw, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(raw), { fingerprint: 'abc', sort: 'name', key: 'Ñandú Sour', date: null, slug: 'nandu-sour', offset: 12 });
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor('e30'), null);
+});
+
+test('resolveCursorStart continues after the last slug even when rows shift', () => {
+  const before = fakeIndex(['Daiquiri', 'Gimlet', 'Martini', 'Negroni']);
+  const cursor = decodeCursor(cursorAfter(before.rows[1], { fingerprint: 'f', sort: 'name', offset: 2 }));
+
+  const after = fakeIndex(['Aviation', 'Daiquiri', 'Gimlet', 'Martini', 'Negroni']);
+  assert.equal(resolveCursorStart(after, [0, 1, 2, 3, 4], cursor), 3);
+
+  const removed = fakeIndex(['Aviation', 'Daiquiri', 'Martini', 'Negroni']);
+  assert.equal(resolveCursorStart(removed, [0, 1, 2, 3], cursor), 2);
+
+  const relevance = decodeCursor(encodeCursor({ fingerprint: 'f', sort: 'relevance', key: null, slug: 'gone', offset: 3 }));
+  assert.equal(resolveCursorStart(after, [0, 1, 2, 3, 4], relevance), 3);
+});
+
+test('resolveCursorStart keeps same-key rows when the last seen row is deleted', () => {
+  const day = (slug, date = '2024-01-01') => ({ slug, name: slug, date });
+  const before = { rows: [day('alpha'), day('bravo'), day('charlie'), day('delta'), day('echo', '2023-12-31')] };
+  const cursor = decodeCursor(cursorAfter(before.rows[1], { fingerprint: 'f', sort: '-date', offset: 2 }));
+
+  const removed = { rows: [day('alpha'), day('charlie'), day('delta'), day('echo', '2023-12-31')] };
+  assert.equal(resolveCursorStart(removed, [0, 1, 2, 3], cursor), 1);
+
+  const byName = decodeCursor(cursorAfter({ slug: 'gimlet', name: 'Gimlet', date: '2024-01-02' }, { fingerprint: 'f', sort: 'name', offset: 2 }));
+  const twins = { rows: [
+    { slug: 'daiquiri', name: 'Daiquiri', date: '2024-01-01' },
+    { slug: 'gimlet-2', name: 'Gimlet', date: '2024-01-03' },
+    { slug: 'gimlet-3', name: 'Gimlet', date: '2024-01-01' },
+    { slug: 'martini', name: 'Martini', date: '2024-01-05' }
+  ] };
+  assert.equal(resolveCursorStart(twins, [0, 1, 2, 3], byName), 2);
+});
+
+test('list fingerprints differ per strength filter', () => {
+  const light = listFingerprint({ q: '', strength: ['light'] }, '-date');
+  assert.notEqual(light, listFingerprint({ q: '', strength: ['strong'] }, '-date'));
+  assert.notEqual(light, listFingerprint({ q: '' }, '-date'));
+  assert.equal(light, listFingerprint({ q: '', strength: ['light'] }, '-date'));
+});
@@ -0,0 +1,71 @@
+import { projectRow, PROJECTABLE_FIELDS } from './projection.js';
+
+export const EXPORT_FORMATS = Object.freeze({
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+});
+
+export const CSV_COLUMNS = Object.freeze([
+  'slug', 'name', 'date', 'category', 'difficulty', 'prep_time', 'cook_time', 'total_time', 'tags', 'mood_labels',
+  'glass', 'garnish', 'ingredients', 'instructions', 'image_url', 'image_thumb', 'strength', 'alcohol_content'
+]);
+
+export function csvColumns(idx) {
+  const columns = [...CSV_COLUMNS];
+  const extras = (idx && idx._columns && Array.isArray(idx._columns.extras)) ? idx._columns.extras : [];
+  for (const { key } of extras) {
+    if (key && !columns.includes(key)) columns.push(key);
+  }
+  return columns;
+}
+
+export function exportRecord(row) {
+  const details = row && row._details && typeof row._details === 'object' ? row._details : {};
+  return { ...projectRow(row, PROJECTABLE_FIELDS), ...details };
+}
+
+export function csvEscape(value) {
+  let str;
+  if (value === undefined || value === null) str = '';
+  else if (Array.isArray(value)) str = value.every(v => typeof v !== 'object' || v === null) ? value.join(', ') : JSON.stringify(value);
+  else if (typeof value === 'object') str = JSON.stringify(value);
+  else str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function csvLine(values) {
+  return `${values.map(csvEscape).join(',')}\r\n`;
+}
+
+function* exportChunks(rows, format, columns) {
+  if (format === 'csv') yield csvLine(columns);
+  let count = 0;
+  for (const row of rows) {
+    if (!row) continue;
+    const record = exportRecord(row);
+    if (format === 'csv') yield csvLine(columns.map(column => record[column]));
+    else if (format === 'ndjson') yield `${JSON.stringify(record)}\n`;
+    else yield `${count ? ',\n' : '[\n'}${JSON.stringify(record)}`;
+    count += 1;
+  }
+  if (format === 'json') yield count ? '\n]\n' : '[]\n';
+}
+
+export function createExportStream(idx, format) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const encoder = new TextEncoder();
+  const chunks = exportChunks(rows, format, csvColumns(idx));
+  return new ReadableStream({
+    pull(controller) {
+      const next = chunks.next();
+      if (next.done) controller.close();
+      else controller.enqueue(encoder.encode(next.value));
+    }
+  });
+}
+
+export function exportFilename(etag, format) {
+  const safeEtag = String(etag || 'latest').replace(/[^A-Za-z0-9_-]/g, '');
+  return `elixiary-${safeEtag}.${EXPORT_FORMATS[format].extension}`;
+}
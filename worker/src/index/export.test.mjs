@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { csvEscape, createExportStream, exportFilename } from './export.js';
+
+const IDX = {
+  etag: 'abc123',
+  _columns: { fields: {}, extras: [{ index: 12, header: 'Source', key: 'source' }, { index: 13, header: 'Notes', key: '' }] },
+  rows: [
+    {
+      _row: 2,
+      slug: 'daiquiri',
+      name: 'Daiquiri',
+      date: '2024-01-02',
+      tags: ['classic', 'rum'],
+      _name_lc: 'daiquiri',
+      _details: {
+        ingredients: [{ name: 'White Rum', measure: '2 oz' }, { name: 'Lime, fresh', measure: '1 oz' }],
+        instructions: 'Shake "hard".\nStrain.',
+        glass: 'Coupe',
+        garnish: '',
+        total_time: '5m',
+        source: 'Family recipe'
+      }
+    },
+    { _row: 3, slug: 'negroni', name: 'Negroni', date: '2024-01-01', tags: [], _details: {} }
+  ]
+};
+
+test('csvEscape quotes separators, quotes and newlines', () => {
+  assert.equal(csvEscape('plain'), 'plain');
+  assert.equal(csvEscape('a,b'), '"a,b"');
+  assert.equal(csvEscape('say "hi"'), '"say ""hi"""');
+  assert.equal(csvEscape('line\nbreak'), '"line\nbreak"');
+  assert.equal(csvEscape(['classic', 'rum']), '"classic, rum"');
+  assert.equal(csvEscape([{ name: 'Rum' }]), '"[{""name"":""Rum""}]"');
+  assert.equal(csvEscape(null), '');
+});
+
+test('createExportStream emits every row with details in each format', async () => {
+  const json = JSON.parse(await new Response(createExportStream(IDX, 'json')).text());
+  assert.equal(json.length, 2);
+  assert.equal(json[0]._row, undefined);
+  assert.equal(json[0].glass, 'Coupe');
+  assert.equal(json[0].ingredients[1].name, 'Lime, fresh');
+  assert.equal(json[0].source, 'Family recipe');
+  assert.equal(json[0].total_time, '5m');
+
+  const ndjson = (await new Response(createExportStream(IDX, 'ndjson')).text()).trim().split('\n');
+  assert.deepEqual(ndjson.map(line => JSON.parse(line).slug), ['daiquiri', 'negroni']);
+
+  const csv = await new Response(createExportStream(IDX, 'csv')).text();
+  const lines = csv.split('\r\n');
+  assert.ok(lines[0].startsWith('slug,name,date,category'));
+  assert.ok(lines[0].endsWith(',strength,alcohol_content,source'));
+  assert.ok(lines[0].includes(',cook_time,total_time,'));
+  assert.ok(lines[1].endsWith(',Family recipe'));
+  assert.ok(lines[1].includes('"[{""name"":""White Rum"",""measure"":""2 oz""},{""name"":""Lime, fresh"",""measure"":""1 oz""}]"'));
+  assert.ok(lines[1].includes('"Shake ""hard"".\nStrain."'));
+  assert.equal(lines.at(-1), '');
+
+  assert.equal(await new Response(createExportStream({ rows: [] }, 'json')).text(), '[]\n');
+  assert.equal(exportFilename('W/"abc"', 'ndjson'), 'elixiary-Wabc.ndjson');
+});
@@ -0,0 +1,43 @@
+export const FACET_INDEX_MAPS = Object.freeze({
+  category: '_categoryIndex',
+  tag: '_tagIndex',
+  mood: '_moodIndex',
+  difficulty: '_difficultyIndex',
+  glass: '_glassIndex'
+});
+
+export function computeFacetCounts(idx, indexes, { mapValue } = {}) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const membership = new Uint8Array(rows.length);
+  for (const pos of Array.isArray(indexes) ? indexes : []) {
+    if (Number.isInteger(pos) && pos >= 0 && pos < rows.length) membership[pos] = 1;
+  }
+
+  const facets = {};
+  for (const [facet, mapKey] of Object.entries(FACET_INDEX_MAPS)) {
+    const map = idx && idx[mapKey];
+    const counts = new Map();
+    if (map && typeof map === 'object') {
+      for (const [value, list] of Object.entries(map)) {
+        if (!Array.isArray(list)) continue;
+        let count = 0;
+        for (const pos of list) {
+          if (membership[pos]) count += 1;
+        }
+        if (!count) continue;
+
+        const key = typeof mapValue === 'function' ? mapValue(facet, value) : value;
+        if (!key) continue;
+        counts.set(key, (counts.get(key) || 0) + count);
+      }
+    }
+
+    const sorted = Array.from(counts.entries()).sort((a, b) => {
+      if (b[1] !== a[1]) return b[1] - a[1];
+      return a[0].localeCompare(b[0]);
+    });
+    facets[facet] = Object.fromEntries(sorted);
+  }
+
+  return facets;
+}
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex } from './testFixtures.mjs';
+import { computeFacetCounts } from './facets.js';
+import { createIndexService } from './service.js';
+
+const ROWS = [
+  ['Daiquiri', '', 'Sours', 'classic,rum', 'bright', '5m', 'Easy', '2024-01-06', '[]', '', 'Coupe', ''],
+  ['Whiskey Sour', '', 'cat_sours', 'classic', 'bright', '5m', 'Medium', '2024-01-05', '[]', '', 'Rocks', ''],
+  ['Pisco Sour', '', 'Sours', 'foamy', 'bright', '5m', 'Medium', '2024-01-04', '[]', '', 'Coupe', ''],
+  ['Mai Tai', '', 'Tiki', 'classic,rum', 'tropical', '5m', 'Hard', '2024-01-03', '[]', '', 'Rocks', ''],
+  ['Mojito', '', 'Highballs', 'rum', 'fresh', '5m', 'Easy', '2024-01-02', '[]', '', 'Highball', ''],
+  ['Mystery', '', 'unknown_other', 'classic', '', '5m', 'Easy', '2024-01-01', '[]', '', '', '']
+];
+
+test('computeFacetCounts counts only the given rows, merges mapped values and sorts by count', async () => {
+  const { idx } = await buildIndex(ROWS);
+  const positions = ['daiquiri', 'whiskey-sour', 'mai-tai', 'mystery'].map(slug => idx._slugIndex[slug]);
+  const mapValue = (facet, value) => (facet === 'category' ? (value === 'unknown_other' ? null : value.replace(/^cat_/, '')) : value);
+
+  const facets = computeFacetCounts(idx, positions, { mapValue });
+  assert.deepEqual(facets.category, { sours: 2, tiki: 1 });
+  assert.deepEqual(facets.tag, { classic: 4, rum: 2 });
+  assert.deepEqual(Object.keys(facets.tag), ['classic', 'rum']);
+  assert.deepEqual(facets.difficulty, { easy: 2, hard: 1, medium: 1 });
+  assert.deepEqual(facets.glass, { rocks: 2, coupe: 1 });
+  assert.deepEqual(computeFacetCounts(idx, []).mood, {});
+});
+
+test('list facets cover the whole filtered result across pages and respect exclusions', async (t) => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({ values: [['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'], ...ROWS] })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const { handleList } = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  const first = await handleList({ tag: 'classic', page_size: '2' }, env, {});
+  const second = await handleList({ tag: 'classic', page_size: '2', page: '2' }, env, {});
+  assert.equal(first.total, 4);
+  assert.equal(first.posts.length, 2);
+  assert.deepEqual(first.facets, second.facets);
+  assert.deepEqual(first.facets.category, { cat_sours: 1, sours: 1, tiki: 1 });
+  assert.deepEqual(first.facets.tag, { classic: 4, rum: 2 });
+  assert.deepEqual(first.facets.glass, { rocks: 2, coupe: 1 });
+
+  const excluded = await handleList({ tag: 'classic', exclude_tag: 'rum', page_size: '1' }, env, {});
+  assert.equal(excluded.total, 2);
+  assert.deepEqual(excluded.facets.tag, { classic: 2 });
+  assert.deepEqual(excluded.facets.category, { cat_sours: 1 });
+  assert.deepEqual(excluded.facets.difficulty, { easy: 1, medium: 1 });
+});
@@ -0,0 +1,59 @@
+export function maxEditsFor(token) {
+  const len = String(token || '').length;
+  if (len <= 3) return 0;
+  if (len <= 7) return 1;
+  return 2;
+}
+
+export function damerauLevenshtein(a, b, maxDistance = Infinity) {
+  const s = String(a || '');
+  const t = String(b || '');
+  if (s === t) return 0;
+  if (Math.abs(s.length - t.length) > maxDistance) return maxDistance + 1;
+  if (!s.length) return t.length;
+  if (!t.length) return s.length;
+
+  let prevPrev = null;
+  let prev = new Array(t.length + 1);
+  for (let j = 0; j <= t.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= s.length; i++) {
+    const current = new Array(t.length + 1);
+    current[0] = i;
+    let rowMin = current[0];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      let value = Math.min(
+        prev[j] + 1,
+        current[j - 1] + 1,
+        prev[j - 1] + cost
+      );
+      if (prevPrev && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      if (value < rowMin) rowMin = value;
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[t.length];
+}
+
+export function fuzzyCandidates(vocabulary, token, { maxEdits = maxEditsFor(token) } = {}) {
+  const target = String(token || '').toLowerCase();
+  if (!target || maxEdits <= 0) return [];
+
+  const out = [];
+  for (const candidate of vocabulary) {
+    if (!candidate || candidate === target) continue;
+    if (Math.abs(candidate.length - target.length) > maxEdits) continue;
+    const distance = damerauLevenshtein(target, candidate, maxEdits);
+    if (distance <= maxEdits) out.push({ token: candidate, distance });
+  }
+
+  out.sort((a, b) => a.distance - b.distance || a.token.localeCompare(b.token));
+  return out;
+}
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex } from './testFixtures.mjs';
+import { damerauLevenshtein, fuzzyCandidates, maxEditsFor } from './fuzzy.js';
+
+test('damerauLevenshtein counts transpositions as a single edit', () => {
+  assert.equal(damerauLevenshtein('negorni', 'negroni'), 1);
+  assert.equal(damerauLevenshtein('margarta', 'margarita'), 1);
+  assert.equal(damerauLevenshtein('sour', 'sour'), 0);
+  assert.equal(damerauLevenshtein('kitten', 'sitting', 1), 2);
+});
+
+test('edit budget grows with token length', () => {
+  assert.equal(maxEditsFor('gin'), 0);
+  assert.equal(maxEditsFor('negroni'), 1);
+  assert.equal(maxEditsFor('margaritas'), 2);
+  assert.deepEqual(fuzzyCandidates(['gin', 'rum'], 'gim'), []);
+  assert.deepEqual(fuzzyCandidates(['negroni', 'sbagliato'], 'negorni'), [{ token: 'negroni', distance: 1 }]);
+});
+
+test('misspelled queries still match and zero-result queries get a suggestion', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Margarita', '', 'Sours', 'tequila', 'citrusy', '5m', 'Easy', '2024-01-02', '[]', '', '', ''],
+    ['Negroni', '', 'Classics', 'bitter', 'boozy', '5m', 'Easy', '2024-01-01', '[]', '', '', '']
+  ]);
+  const slugs = (indexes) => indexes.map(i => idx.rows[i].slug);
+
+  assert.deepEqual(slugs(builder.filterIndex(idx, 'margarta')), ['margarita']);
+  assert.deepEqual(slugs(builder.filterIndex(idx, 'negorni')), ['negroni']);
+
+  assert.deepEqual(builder.filterIndex(idx, 'margarta negorni'), []);
+  assert.equal(builder.suggestQuery(idx, 'margarta negorni'), 'margarita negroni');
+  assert.equal(builder.suggestQuery(idx, 'marg'), null);
+  assert.equal(builder.suggestQuery(idx, 'xyzzy'), null);
+});
@@ -1,3 +1,15 @@
+import { addTokens, foldText, tokenizeQuery, TOKENIZER_VERSION } from './tokens.js';
+import { buildFieldStats, rankByRelevance, MATCH_WEIGHTS } from './ranking.js';
+import { sortIndexes } from './sorting.js';
+import { ingredientKeys, ingredientMatches, matchingIngredientKeys } from './ingredients.js';
+import { fuzzyCandidates } from './fuzzy.js';
+import { DEFAULT_SYNONYMS, compileSynonyms, expandQueryTokens, parseSynonymRows } from './synonyms.js';
+import { structureIngredients } from './measures.js';
+import { alcoholContentLabel, estimateStrength } from './strength.js';
+import { createValidationReport, isImageUrl, REQUIRED_COLUMNS } from './validation.js';
+import { columnValue, parseColumnMap, passThroughValues, resolveColumns } from './columns.js';
+import { isKnownStatus, publicationStatus, scheduledPublishAt } from './publication.js';
+
 export const API_VERSION = 'v1';
 
 const textEncoder = new TextEncoder();
@@ -7,54 +19,108 @@ export function createIndexBuilder({ fetchSheetValues }) {
     throw new TypeError('fetchSheetValues must be a function');
   }
 
-  async function buildIndexFromSheet(env) {
-    const range = `${env.SHEET_NAME}!A1:L`;
-    const data = await fetchSheetValues(env, range);
+  async function buildIndexFromSheet(env, { includeUnpublished = false } = {}) {
+    const data = await fetchSheetValues(env, String(env.SHEET_NAME));
     const values = data.values || [];
     if (!values.length) {
-      return { rows: [], etag: await hashHex(`${API_VERSION}:empty`), _headerMap: {} };
+      return { rows: [], etag: await hashHex(`${API_VERSION}:empty`), _columns: { fields: {}, extras: [] } };
     }
 
     const header = values[0];
-    const map = Object.fromEntries(header.map((h, i) => [canon(h), i]));
+    const columns = resolveColumns(header, parseColumnMap(env.COLUMN_MAP));
+    const map = columns.fields;
     const rows = [];
     const categoryIndex = Object.create(null);
     const tagIndex = Object.create(null);
     const moodIndex = Object.create(null);
+    const ingredientIndex = Object.create(null);
+    const difficultyIndex = Object.create(null);
+    const glassIndex = Object.create(null);
+    const strengthIndex = Object.create(null);
     const tokenIndex = Object.create(null);
     const slugIndexRefs = Object.create(null);
+    const today = new Date().toISOString().slice(0, 10);
+    const statuses = values.map((r, i) => (i === 0 ? '' : publicationStatus(
+      columnValue(r, columns, 'status'),
+      toDateISO(columnValue(r, columns, 'date')),
+      today
+    )));
+    const slugPlan = planSlugs(values, map, (i) => statuses[i] === 'published');
+    const aliasIndex = Object.create(null);
+    const report = createValidationReport();
+    const columnLabel = (key) => (typeof map[key] === 'number' ? String(header[map[key]] ?? '').trim() : key);
+    let nextPublishDate = null;
+
+    for (const extra of columns.extras) {
+      report.add(1, extra.header, 'unknown_header', extra.key);
+    }
+    for (const entry of columns.shadowed) {
+      report.add(1, entry.header, 'shadowed_header', entry.field);
+    }
+    for (const key of REQUIRED_COLUMNS) {
+      if (typeof map[key] !== 'number') report.add(1, key, 'missing_required');
+    }
 
     for (let i = 1; i < values.length; i++) {
       const r = values[i];
-      const cell = (key) => {
-        const idx = map[key];
-        return (typeof idx === 'number') ? r[idx] : undefined;
-      };
+      const cell = (field) => columnValue(r, columns, field);
 
+      const rowNumber = i + 1;
       const name = cell('name');
-      const slug = slugify(name || '');
+      const hasContent = Array.isArray(r) && r.some(v => String(v ?? '').trim());
+      if (hasContent && !String(name ?? '').trim() && typeof map['name'] === 'number') {
+        report.add(rowNumber, columnLabel('name'), 'missing_required');
+      }
+
+      const slug = slugPlan.slugs.get(i);
       if (!slug) continue;
 
-      const img = driveImageLinks(cell('imageurl') || cell('image_url'));
+      const rawImage = cell('image_url');
+      if (String(rawImage ?? '').trim() && !isImageUrl(rawImage)) {
+        report.add(rowNumber, columnLabel('image_url'), 'not_an_image_url', rawImage);
+      }
+
+      const img = driveImageLinks(rawImage);
       const category = String((cell('category') || ''));
       const tags = splitCSV(cell('tags'));
-      const moods = splitCSV(cell('moodlabels') || cell('mood_labels'));
-      const prepTime = String((cell('preptime') || cell('prep_time') || ''));
+      const moods = splitCSV(cell('mood_labels'));
+      const prepTime = String((cell('prep_time') || ''));
       const difficulty = String((cell('difficulty') || ''));
-      const date = toDateISO(cell('date'));
+      const rawDate = cell('date');
+      const date = toDateISO(rawDate);
+      if (typeof map['date'] === 'number') {
+        if (!String(rawDate ?? '').trim()) report.add(rowNumber, columnLabel('date'), 'missing_required');
+        else if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) report.add(rowNumber, columnLabel('date'), 'invalid_date', rawDate);
+        else if (date > today && statuses[i] !== 'scheduled') report.add(rowNumber, columnLabel('date'), 'future_date', date);
+      }
 
       let ingredients = [];
+      const rawIngredients = cell('ingredients');
       try {
-        const rawIngredients = cell('ingredientsjson') || cell('ingredients_json');
         ingredients = rawIngredients ? JSON.parse(rawIngredients) : [];
-        if (!Array.isArray(ingredients)) ingredients = [];
+        if (!Array.isArray(ingredients)) {
+          report.add(rowNumber, columnLabel('ingredients'), 'bad_json', rawIngredients);
+          ingredients = [];
+        }
       } catch {
+        report.add(rowNumber, columnLabel('ingredients'), 'bad_json', rawIngredients);
         ingredients = [];
       }
+      if (!String(rawIngredients ?? '').trim() && typeof map['ingredients'] === 'number') {
+        report.add(rowNumber, columnLabel('ingredients'), 'missing_required');
+      }
+      ingredients = structureIngredients(ingredients);
+
+      const rawStatus = cell('status');
+      if (!isKnownStatus(rawStatus)) report.add(rowNumber, columnLabel('status'), 'unknown_status', rawStatus);
+      const status = statuses[i];
+      if (status === 'scheduled' && (!nextPublishDate || date < nextPublishDate)) nextPublishDate = date;
+      if (status !== 'published' && !includeUnpublished) continue;
 
       const instructions = String(cell('instructions') || '');
       const glass = String(cell('glass') || '');
       const garnish = String(cell('garnish') || '');
+      const strength = estimateStrength(ingredients, instructions);
 
       const row = {
         _row: i + 1,
@@ -72,7 +138,10 @@ export function createIndexBuilder({ fetchSheetValues }) {
         _tags_lc: tags.map(t => String(t || '').toLowerCase()),
         _moods_lc: moods.map(m => String(m || '').toLowerCase()),
         _category_lc: category.toLowerCase(),
+        _ingredients_lc: ingredientKeys(ingredients),
+        _strength: strength ? strength.level : '',
         _details: {
+          ...passThroughValues(r, columns),
           slug,
           name: String(name || ''),
           ingredients,
@@ -83,15 +152,27 @@ export function createIndexBuilder({ fetchSheetValues }) {
           glass,
           garnish,
           prep_time: prepTime,
+          cook_time: String(cell('cook_time') || ''),
+          total_time: String(cell('total_time') || ''),
           difficulty,
           image_url: img.src,
           image_thumb: img.thumb,
-          date
+          date,
+          status,
+          strength,
+          alcohol_content: alcoholContentLabel(strength)
         }
       };
 
       rows.push(row);
 
+      for (const alias of splitCSV(cell('aliases'))) {
+        const aliasSlug = slugify(alias);
+        if (aliasSlug && aliasSlug !== slug && !slugPlan.taken.has(aliasSlug) && !(aliasSlug in aliasIndex)) {
+          aliasIndex[aliasSlug] = slug;
+        }
+      }
+
       const slugLc = row.slug.toLowerCase();
       if (!(slugLc in slugIndexRefs)) {
         slugIndexRefs[slugLc] = row;
@@ -112,16 +193,45 @@ export function createIndexBuilder({ fetchSheetValues }) {
         moodIndex[m].push(row);
       }
 
+      for (const ing of row._ingredients_lc) {
+        if (!ingredientIndex[ing]) ingredientIndex[ing] = [];
+        ingredientIndex[ing].push(row);
+      }
+
+      const difficultyLc = difficulty.trim().toLowerCase();
+      if (difficultyLc) {
+        if (!difficultyIndex[difficultyLc]) difficultyIndex[difficultyLc] = [];
+        difficultyIndex[difficultyLc].push(row);
+      }
+
+      const glassLc = glass.trim().toLowerCase();
+      if (glassLc) {
+        if (!glassIndex[glassLc]) glassIndex[glassLc] = [];
+        glassIndex[glassLc].push(row);
+      }
+
+      if (row._strength) {
+        if (!strengthIndex[row._strength]) strengthIndex[row._strength] = [];
+        strengthIndex[row._strength].push(row);
+      }
+
       const tokens = new Set();
       addTokens(tokens, row._name_lc);
       for (const tag of row._tags_lc) addTokens(tokens, tag);
       for (const mood of row._moods_lc) addTokens(tokens, mood);
+      for (const ing of row._ingredients_lc) addTokens(tokens, ing);
       for (const token of tokens) {
         if (!tokenIndex[token]) tokenIndex[token] = [];
         tokenIndex[token].push(row);
       }
     }
 
+    for (const collision of slugPlan.collisions) {
+      for (const entry of collision.rows.slice(1)) {
+        report.add(entry.row, columnLabel(typeof map['slug'] === 'number' ? 'slug' : 'name'), 'duplicate_slug', collision.slug);
+      }
+    }
+
     rows.sort((a, b) => {
       const dateCmp = String(b.date || '').localeCompare(String(a.date || ''));
       if (dateCmp !== 0) return dateCmp;
@@ -150,6 +260,10 @@ export function createIndexBuilder({ fetchSheetValues }) {
     const categoryIndexOut = normalizeIndex(categoryIndex);
     const tagIndexOut = normalizeIndex(tagIndex);
     const moodIndexOut = normalizeIndex(moodIndex);
+    const ingredientIndexOut = normalizeIndex(ingredientIndex);
+    const difficultyIndexOut = normalizeIndex(difficultyIndex);
+    const glassIndexOut = normalizeIndex(glassIndex);
+    const strengthIndexOut = normalizeIndex(strengthIndex);
     const tokenIndexOut = normalizeIndex(tokenIndex);
     const { prefixIndex: tokenPrefixIndexOut, ngramIndex: tokenNgramIndexOut } = buildTokenAuxiliaryIndexes(tokenIndexOut);
     const slugIndexOut = Object.create(null);
@@ -160,71 +274,104 @@ export function createIndexBuilder({ fetchSheetValues }) {
       }
     }
 
-    const etag = await computeIndexEtag(rows);
+    const synonyms = compileSynonyms([...DEFAULT_SYNONYMS, ...(await fetchSynonymGroups(env))]);
+    const etag = await computeIndexEtag(rows, synonyms);
     return {
       rows,
       etag,
-      _headerMap: map,
+      _columns: columns,
       _categoryIndex: categoryIndexOut,
       _tagIndex: tagIndexOut,
       _moodIndex: moodIndexOut,
+      _ingredientIndex: ingredientIndexOut,
+      _difficultyIndex: difficultyIndexOut,
+      _glassIndex: glassIndexOut,
+      _strengthIndex: strengthIndexOut,
       _tokenIndex: tokenIndexOut,
       _tokenPrefixIndex: tokenPrefixIndexOut,
       _tokenNgramIndex: tokenNgramIndexOut,
-      _slugIndex: slugIndexOut
+      _slugIndex: slugIndexOut,
+      _slugCollisions: includeUnpublished ? slugPlan.collisions : slugPlan.publishedCollisions,
+      _aliasIndex: aliasIndex,
+      _validation: report.finish(),
+      _nextPublishAt: nextPublishDate ? scheduledPublishAt(nextPublishDate) : null,
+      _fieldStats: buildFieldStats(rows),
+      _synonyms: synonyms,
+      _tokenizerVersion: TOKENIZER_VERSION
     };
   }
 
-  async function fetchRowFull(env, rowNumber, { headerMap, ctx, getIndex }) {
-    const range = `${env.SHEET_NAME}!A${rowNumber}:L${rowNumber}`;
-    const data = await fetchSheetValues(env, range);
+  async function fetchSynonymGroups(env) {
+    const sheetName = String(env.SYNONYMS_SHEET_NAME || '').trim();
+    if (!sheetName) return [];
+    try {
+      const data = await fetchSheetValues(env, sheetName);
+      return parseSynonymRows(data.values || []);
+    } catch (err) {
+      console.warn('[Mixology] synonyms sheet unavailable', err);
+      return [];
+    }
+  }
+
+  async function fetchRowFull(env, rowNumber, { columns, ctx, getIndex }) {
+    const data = await fetchSheetValues(env, `${env.SHEET_NAME}!${rowNumber}:${rowNumber}`);
     const values = data.values || [];
     if (!values.length) return null;
 
-    let map = headerMap;
-    if (!map || !Object.keys(map).length) {
+    let layout = columns;
+    if (!layout || !layout.fields) {
       if (typeof getIndex === 'function') {
         const idx = await getIndex(env, ctx);
-        map = idx && idx._headerMap;
+        layout = idx && idx._columns;
       }
-      if (!map || !Object.keys(map).length) {
-        const head = await fetchSheetValues(env, `${env.SHEET_NAME}!A1:L1`);
-        const header = (head.values && head.values[0]) || [];
-        map = Object.fromEntries(header.map((h, i) => [canon(h), i]));
+      if (!layout || !layout.fields || !Object.keys(layout.fields).length) {
+        const head = await fetchSheetValues(env, `${env.SHEET_NAME}!1:1`);
+        layout = resolveColumns((head.values && head.values[0]) || [], parseColumnMap(env.COLUMN_MAP));
       }
     }
 
     const r = values[0];
-    const name = r[map['name']];
-    const slug = slugify(name || '');
+    const cell = (field) => columnValue(r, layout, field);
+    const name = cell('name');
+    const slug = slugify(cell('slug') || name || '');
     if (!slug) return null;
 
     let ingredients = [];
     try {
-      const raw = r[map['ingredientsjson']] || r[map['ingredients_json']];
+      const raw = cell('ingredients');
       ingredients = raw ? JSON.parse(raw) : [];
       if (!Array.isArray(ingredients)) ingredients = [];
     } catch {
       ingredients = [];
     }
+    ingredients = structureIngredients(ingredients);
 
-    const img = driveImageLinks(r[map['imageurl']] || r[map['image_url']]);
+    const img = driveImageLinks(cell('image_url'));
+    const instructions = String(cell('instructions') || '');
+    const strength = estimateStrength(ingredients, instructions);
+    const date = toDateISO(cell('date'));
 
     return {
+      ...passThroughValues(r, layout),
       slug,
       name: String(name || ''),
       ingredients,
-      mood_labels: splitCSV(r[map['moodlabels']] || r[map['mood_labels']]),
-      tags: splitCSV(r[map['tags']]),
-      category: String(r[map['category']] || ''),
-      instructions: String(r[map['instructions']] || ''),
-      glass: String(r[map['glass']] || ''),
-      garnish: String(r[map['garnish']] || ''),
-      prep_time: String(r[map['preptime']] || r[map['prep_time']] || ''),
-      difficulty: String(r[map['difficulty']] || ''),
+      mood_labels: splitCSV(cell('mood_labels')),
+      tags: splitCSV(cell('tags')),
+      category: String(cell('category') || ''),
+      instructions,
+      glass: String(cell('glass') || ''),
+      garnish: String(cell('garnish') || ''),
+      prep_time: String(cell('prep_time') || ''),
+      cook_time: String(cell('cook_time') || ''),
+      total_time: String(cell('total_time') || ''),
+      difficulty: String(cell('difficulty') || ''),
       image_url: img.src,
       image_thumb: img.thumb,
-      date: toDateISO(r[map['date']])
+      date,
+      status: publicationStatus(cell('status'), date, new Date().toISOString().slice(0, 10)),
+      strength,
+      alcohol_content: alcoholContentLabel(strength)
     };
   }
 
@@ -234,14 +381,13 @@ export function createIndexBuilder({ fetchSheetValues }) {
     ensureTokenAuxIndexes,
     hasPrecomputedMaps,
     filterIndex,
+    rankIndexes,
+    orderIndexes,
+    suggestQuery,
     serializeRow
   };
 }
 
-function canon(s) {
-  return String(s || '').replace(/\uFEFF/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
-}
-
 function splitCSV(s) {
   return String(s || '').split(',').map(x => x.trim()).filter(Boolean);
 }
@@ -253,6 +399,52 @@ function slugify(s) {
     .slice(0, 120);
 }
 
+function planSlugs(values, map, isPublished = () => true) {
+  const slugCell = (r) => (typeof map['slug'] === 'number' ? slugify(r[map['slug']]) : '');
+  const order = [];
+  for (let i = 1; i < values.length; i++) if (isPublished(i)) order.push(i);
+  for (let i = 1; i < values.length; i++) if (!isPublished(i)) order.push(i);
+
+  const reserved = new Map();
+  for (const i of order) {
+    const explicit = slugCell(values[i] || []);
+    if (explicit && !reserved.has(explicit)) reserved.set(explicit, i);
+  }
+
+  const slugs = new Map();
+  const taken = new Set();
+  const groups = new Map();
+  for (const i of order) {
+    const r = values[i] || [];
+    const name = typeof map['name'] === 'number' ? r[map['name']] : undefined;
+    const explicit = slugCell(r);
+    const base = explicit || slugify(name || '');
+    if (!base) continue;
+
+    let slug = base;
+    const ownsReservation = Boolean(explicit) && reserved.get(explicit) === i;
+    if (taken.has(slug) || (!ownsReservation && reserved.has(slug))) {
+      let n = 2;
+      while (taken.has(`${base}-${n}`) || reserved.has(`${base}-${n}`)) n += 1;
+      slug = `${base}-${n}`;
+    }
+    taken.add(slug);
+    slugs.set(i, slug);
+
+    if (!groups.has(base)) groups.set(base, []);
+    groups.get(base).push({ row: i + 1, name: String(name || ''), slug });
+  }
+
+  const collisions = [];
+  const publishedCollisions = [];
+  for (const [slug, rows] of groups) {
+    if (rows.length > 1) collisions.push({ slug, rows });
+    const published = rows.filter(entry => isPublished(entry.row - 1));
+    if (published.length > 1) publishedCollisions.push({ slug, rows: published });
+  }
+  return { slugs, taken, collisions, publishedCollisions };
+}
+
 function driveImageLinks(url) {
   const u = String(url || '').trim();
   if (!u) return { src: '', thumb: '' };
@@ -288,21 +480,24 @@ async function hashHex(s) {
   return hashHexFromBytes(textEncoder.encode(s));
 }
 
-async function computeIndexEtag(rows) {
-  const prefix = `${API_VERSION}:${rows.length}:`;
+async function computeIndexEtag(rows, synonyms = []) {
+  const prefix = `${API_VERSION}:t${TOKENIZER_VERSION}:${rows.length}:${JSON.stringify(synonyms)}:`;
   const parts = [];
   parts.push(textEncoder.encode(prefix));
   for (const row of rows) {
     const snapshot = {
       slug: row.slug,
+      name: row.name,
       date: row.date,
       category: row.category,
       difficulty: row.difficulty,
       prep_time: row.prep_time,
       tags: row.tags,
       mood_labels: row.mood_labels,
+      ingredients: row._ingredients_lc,
       image_url: row.image_url,
-      image_thumb: row.image_thumb
+      image_thumb: row.image_thumb,
+      details: row._details
     };
     const encoded = textEncoder.encode(JSON.stringify(snapshot) + '\n');
     parts.push(encoded);
@@ -333,17 +528,10 @@ function ensureLowercaseFields(row) {
   if (!('_category_lc' in row)) {
     row._category_lc = String(row.category || '').toLowerCase();
   }
-  return row;
-}
-
-function addTokens(set, value) {
-  const str = String(value || '').toLowerCase();
-  if (!str) return;
-  const matches = str.match(/[a-z0-9]+/g);
-  if (!matches) return;
-  for (const token of matches) {
-    if (token) set.add(token);
+  if (!Array.isArray(row._ingredients_lc)) {
+    row._ingredients_lc = ingredientKeys(row._details && row._details.ingredients);
   }
+  return row;
 }
 
 function buildTokenAuxiliaryIndexes(tokenIndex) {
@@ -453,7 +641,8 @@ function ensureTokenAuxIndexes(idx) {
 
 function hasPrecomputedMaps(idx) {
   if (!idx || typeof idx !== 'object') return false;
-  const baseMaps = ['_categoryIndex', '_tagIndex', '_moodIndex', '_tokenIndex'];
+  if (idx._tokenizerVersion !== TOKENIZER_VERSION) return false;
+  const baseMaps = ['_categoryIndex', '_tagIndex', '_moodIndex', '_ingredientIndex', '_difficultyIndex', '_glassIndex', '_strengthIndex', '_tokenIndex'];
   for (const key of baseMaps) {
     if (!idx[key] || typeof idx[key] !== 'object') return false;
     if (!validateSortedIndexMap(idx[key])) return false;
@@ -461,6 +650,11 @@ function hasPrecomputedMaps(idx) {
 
   if (!ensureTokenAuxIndexes(idx)) return false;
 
+  if (!Array.isArray(idx._slugCollisions)) return false;
+  if (!idx._aliasIndex || typeof idx._aliasIndex !== 'object') return false;
+  if (!idx._validation || !Array.isArray(idx._validation.issues)) return false;
+  if (!idx._columns || !idx._columns.fields || !Array.isArray(idx._columns.extras)) return false;
+  if (!Object.prototype.hasOwnProperty.call(idx, '_nextPublishAt')) return false;
   if (!idx._slugIndex || typeof idx._slugIndex !== 'object') return false;
   for (const value of Object.values(idx._slugIndex)) {
     if (!Number.isInteger(value)) return false;
@@ -478,14 +672,81 @@ function serializeRow(row) {
   return out;
 }
 
-function tokenizeQuery(qRaw) {
-  const q = String(qRaw || '').toLowerCase();
-  if (!q) return [];
-  const parts = q.match(/[a-z0-9]+/g);
-  return parts ? parts.filter(Boolean) : [];
+function lookupTokenMatches(idx, token) {
+  const matches = lookupIndexedToken(idx, token);
+  if (matches.length) return matches;
+
+  let fuzzy = [];
+  for (const candidate of closestTokens(idx, token)) {
+    fuzzy = unionSortedArrays(fuzzy, idx._tokenIndex[candidate] || []);
+  }
+  return fuzzy;
 }
 
-function lookupTokenMatches(idx, token) {
+function indexSynonyms(idx) {
+  if (idx && Array.isArray(idx._synonyms)) return idx._synonyms;
+  return compileSynonyms(DEFAULT_SYNONYMS);
+}
+
+function lookupClauseMatches(idx, clause) {
+  let out = [];
+  for (const phrase of clause.alternatives) {
+    let current = null;
+    for (const token of phrase) {
+      const arr = lookupIndexedToken(idx, token);
+      current = current === null ? arr : intersectSortedArrays(current, arr);
+      if (!current.length) break;
+    }
+    if (current && current.length) out = unionSortedArrays(out, current);
+  }
+  if (out.length) return out;
+
+  let fuzzy = null;
+  for (const token of clause.source) {
+    const arr = lookupTokenMatches(idx, token);
+    fuzzy = fuzzy === null ? arr : intersectSortedArrays(fuzzy, arr);
+    if (!fuzzy.length) break;
+  }
+  return fuzzy || [];
+}
+
+function closestTokens(idx, token) {
+  if (!idx || !idx._tokenIndex || typeof idx._tokenIndex !== 'object') return [];
+  const candidates = fuzzyCandidates(Object.keys(idx._tokenIndex), token);
+  if (!candidates.length) return [];
+  const best = candidates[0].distance;
+  return candidates
+    .filter(candidate => candidate.distance === best)
+    .map(candidate => candidate.token)
+    .sort((a, b) => (idx._tokenIndex[b] || []).length - (idx._tokenIndex[a] || []).length);
+}
+
+function isKnownToken(idx, token) {
+  if (Array.isArray(idx._tokenIndex[token]) && idx._tokenIndex[token].length) return true;
+  for (const key of Object.keys(idx._tokenIndex)) {
+    if (key.startsWith(token)) return true;
+  }
+  return false;
+}
+
+function suggestQuery(idx, qRaw) {
+  if (!idx || !idx._tokenIndex || typeof idx._tokenIndex !== 'object') return null;
+  const tokens = tokenizeQuery(qRaw);
+  if (!tokens.length) return null;
+
+  let changed = false;
+  const corrected = tokens.map((token) => {
+    if (isKnownToken(idx, token)) return token;
+    const [best] = closestTokens(idx, token);
+    if (!best) return token;
+    changed = true;
+    return best;
+  });
+
+  return changed ? corrected.join(' ') : null;
+}
+
+function lookupIndexedToken(idx, token) {
   const normalized = String(token || '').toLowerCase();
   if (!normalized || !idx || typeof idx._tokenIndex !== 'object') return [];
 
@@ -571,62 +832,190 @@ function intersectSortedArrays(a, b) {
   return result;
 }
 
-function filterIndex(idx, qRaw, tag, cat, mood) {
+function rankIndexes(idx, indexes, qRaw) {
+  const tokens = Array.from(new Set(tokenizeQuery(qRaw)));
+  if (!tokens.length) return Array.isArray(indexes) ? indexes.slice() : [];
+  const hasTokenIndex = idx && idx._tokenIndex && typeof idx._tokenIndex === 'object';
+  if (!hasTokenIndex) {
+    return rankByRelevance(idx, indexes, tokens.map(token => ({ token, df: indexes.length })));
+  }
+
+  const terms = [];
+  const seen = new Set();
+  for (const clause of expandQueryTokens(tokens, indexSynonyms(idx))) {
+    for (const phrase of clause.alternatives) {
+      for (const token of phrase) {
+        if (seen.has(token)) continue;
+        seen.add(token);
+        const fromQuery = clause.source.includes(token);
+        const matches = lookupIndexedToken(idx, token);
+        if (matches.length) {
+          terms.push({ token, df: matches.length, weight: fromQuery ? 1 : MATCH_WEIGHTS.synonym });
+          continue;
+        }
+        if (!fromQuery) continue;
+        for (const candidate of closestTokens(idx, token)) {
+          terms.push({ token: candidate, df: idx._tokenIndex[candidate].length, weight: MATCH_WEIGHTS.fuzzy });
+        }
+      }
+    }
+  }
+  return rankByRelevance(idx, indexes, terms);
+}
+
+function orderIndexes(idx, indexes, sort, qRaw) {
+  if (sort === 'relevance') return rankIndexes(idx, indexes, qRaw);
+  return sortIndexes(idx, indexes, sort);
+}
+
+const FACET_INDEX_KEYS = {
+  category: '_categoryIndex',
+  tag: '_tagIndex',
+  mood: '_moodIndex'
+};
+
+function filterValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const out = new Set();
+  for (const entry of values) {
+    const lc = String(entry ?? '').trim().toLowerCase();
+    if (lc) out.add(lc);
+  }
+  return Array.from(out);
+}
+
+function normalizeFilters(filters) {
+  const src = filters && typeof filters === 'object' ? filters : {};
+  const include = {};
+  const exclude = {};
+  for (const facet of Object.keys(FACET_INDEX_KEYS)) {
+    include[facet] = filterValues(src[facet]);
+    exclude[facet] = filterValues(src[`exclude_${facet}`]);
+  }
+  return { include, exclude };
+}
+
+function rowFacetValues(row, facet) {
+  if (facet === 'category') return row._category_lc ? [row._category_lc] : [];
+  if (facet === 'tag') return row._tags_lc;
+  if (facet === 'mood') return row._moods_lc;
+  return [];
+}
+
+function unionSortedArrays(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i] < b[j])) {
+      result.push(a[i]);
+      i += 1;
+    } else if (i >= a.length || b[j] < a[i]) {
+      result.push(b[j]);
+      j += 1;
+    } else {
+      result.push(a[i]);
+      i += 1;
+      j += 1;
+    }
+  }
+  return result;
+}
+
+function differenceSortedArrays(a, b) {
+  if (!b.length) return a;
+  const result = [];
+  let j = 0;
+  for (const value of a) {
+    while (j < b.length && b[j] < value) j += 1;
+    if (j < b.length && b[j] === value) continue;
+    result.push(value);
+  }
+  return result;
+}
+
+function unionFacetValues(map, values) {
+  let current = [];
+  for (const value of values) {
+    const arr = map[value];
+    if (Array.isArray(arr) && arr.length) {
+      current = unionSortedArrays(current, arr);
+    }
+  }
+  return current;
+}
+
+function filterIndex(idx, qRaw, filters = {}) {
   const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
   const hasMaps = hasPrecomputedMaps(idx);
+  const { include, exclude } = normalizeFilters(filters);
+  const ingredients = filterValues(filters && filters.ingredient);
+  const strengths = filterValues(filters && filters.strength);
 
   if (!hasMaps) {
     const matches = [];
-    const q = String(qRaw || '').toLowerCase();
-    const tagLc = String(tag || '').toLowerCase();
-    const catLc = String(cat || '').toLowerCase();
-    const moodLc = String(mood || '').toLowerCase();
+    const q = foldText(qRaw).trim();
+    const contains = (value) => foldText(value).includes(q);
     for (let i = 0; i < rows.length; i++) {
       const row = ensureLowercaseFields(rows[i]);
       if (q) {
-        const inName = row._name_lc.includes(q);
-        const inTags = row._tags_lc.some(t => t.includes(q));
-        const inMoods = row._moods_lc.some(mo => mo.includes(q));
-        if (!inName && !inTags && !inMoods) continue;
+        const inName = contains(row._name_lc);
+        const inTags = row._tags_lc.some(contains);
+        const inMoods = row._moods_lc.some(contains);
+        const inIngredients = row._ingredients_lc.some(contains);
+        if (!inName && !inTags && !inMoods && !inIngredients) continue;
       }
-      if (tagLc && !row._tags_lc.includes(tagLc)) continue;
-      if (catLc && row._category_lc !== catLc) continue;
-      if (moodLc && !row._moods_lc.includes(moodLc)) continue;
-      matches.push(i);
+      if (ingredients.length && !ingredients.every(wanted => row._ingredients_lc.some(ing => ingredientMatches(ing, wanted)))) {
+        continue;
+      }
+      if (strengths.length && !strengths.includes(row._strength)) continue;
+      let keep = true;
+      for (const facet of Object.keys(FACET_INDEX_KEYS)) {
+        const values = rowFacetValues(row, facet);
+        if (include[facet].length && !include[facet].some(v => values.includes(v))) keep = false;
+        if (exclude[facet].length && exclude[facet].some(v => values.includes(v))) keep = false;
+        if (!keep) break;
+      }
+      if (keep) matches.push(i);
     }
     return matches;
   }
 
   const groups = [];
-  const lc = (s) => String(s || '').toLowerCase();
 
-  if (cat) {
-    const arr = idx._categoryIndex[lc(cat)] || [];
+  for (const [facet, key] of Object.entries(FACET_INDEX_KEYS)) {
+    if (!include[facet].length) continue;
+    const arr = unionFacetValues(idx[key], include[facet]);
     if (!arr.length) return [];
     groups.push(arr);
   }
 
-  if (tag) {
-    const arr = idx._tagIndex[lc(tag)] || [];
+  for (const wanted of ingredients) {
+    const arr = unionFacetValues(idx._ingredientIndex, matchingIngredientKeys(idx._ingredientIndex, wanted));
     if (!arr.length) return [];
     groups.push(arr);
   }
 
-  if (mood) {
-    const arr = idx._moodIndex[lc(mood)] || [];
+  if (strengths.length) {
+    const arr = unionFacetValues(idx._strengthIndex, strengths);
     if (!arr.length) return [];
     groups.push(arr);
   }
 
-  const tokens = tokenizeQuery(qRaw);
-  for (const token of tokens) {
-    const arr = lookupTokenMatches(idx, token);
+  for (const clause of expandQueryTokens(tokenizeQuery(qRaw), indexSynonyms(idx))) {
+    const arr = lookupClauseMatches(idx, clause);
     if (!arr.length) return [];
     groups.push(arr);
   }
 
+  let excluded = [];
+  for (const [facet, key] of Object.entries(FACET_INDEX_KEYS)) {
+    if (!exclude[facet].length) continue;
+    excluded = unionSortedArrays(excluded, unionFacetValues(idx[key], exclude[facet]));
+  }
+
   if (!groups.length) {
-    return rows.map((_, i) => i);
+    return differenceSortedArrays(rows.map((_, i) => i), excluded);
   }
 
   groups.sort((a, b) => a.length - b.length);
@@ -639,5 +1028,5 @@ function filterIndex(idx, qRaw, tag, cat, mood) {
     }
   }
 
-  return current;
+  return differenceSortedArrays(current, excluded);
 }
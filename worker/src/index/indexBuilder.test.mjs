@@ -0,0 +1,225 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createIndexBuilder } from './indexBuilder.js';
+
+const HEADER = ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish', 'Slug', 'Aliases'];
+
+function recipe(name, date, slug = '', aliases = '') {
+  return [name, '', 'Sours', '', '', '5m', 'Easy', date, '[]', `Make the ${name}.`, '', '', slug, aliases];
+}
+
+async function buildIndex(rows) {
+  const builder = createIndexBuilder({ fetchSheetValues: async () => ({ values: [HEADER, ...rows] }) });
+  return { builder, idx: await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' }) };
+}
+
+test('duplicate names get stable suffixed slugs and every row is addressable', async () => {
+  const { builder, idx } = await buildIndex([
+    recipe('Daiquiri', '2024-01-01'),
+    recipe('Daiquiri!', '2024-01-03'),
+    recipe('Negroni', '2024-01-02'),
+    recipe('daiquiri', '2024-01-04')
+  ]);
+
+  const slugs = idx.rows.map(row => row.slug).sort();
+  assert.deepEqual(slugs, ['daiquiri', 'daiquiri-2', 'daiquiri-3', 'negroni']);
+  for (const row of idx.rows) {
+    assert.equal(idx.rows[idx._slugIndex[row.slug]], row);
+    assert.equal(row._details.slug, row.slug);
+  }
+  assert.equal(idx.rows[idx._slugIndex['daiquiri']]._row, 2);
+  assert.equal(idx.rows[idx._slugIndex['daiquiri-3']]._row, 5);
+
+  assert.deepEqual(idx._slugCollisions, [{
+    slug: 'daiquiri',
+    rows: [
+      { row: 2, name: 'Daiquiri', slug: 'daiquiri' },
+      { row: 3, name: 'Daiquiri!', slug: 'daiquiri-2' },
+      { row: 5, name: 'daiquiri', slug: 'daiquiri-3' }
+    ]
+  }]);
+  assert.ok(builder.hasPrecomputedMaps(idx));
+  assert.ok(!builder.hasPrecomputedMaps({ ...idx, _slugCollisions: undefined }));
+});
+
+test('an explicit Slug column wins over name-derived slugs', async () => {
+  const { idx } = await buildIndex([
+    recipe('Daiquiri', '2024-01-01'),
+    recipe('Hemingway Daiquiri', '2024-01-02', 'Daiquiri'),
+    recipe('Mojito', '2024-01-03', 'classic-mojito')
+  ]);
+
+  assert.equal(idx.rows[idx._slugIndex['daiquiri']].name, 'Hemingway Daiquiri');
+  assert.equal(idx.rows[idx._slugIndex['daiquiri-2']].name, 'Daiquiri');
+  assert.equal(idx.rows[idx._slugIndex['classic-mojito']].name, 'Mojito');
+  assert.equal(idx._slugCollisions.length, 1);
+});
+
+test('Aliases map old slugs to the canonical slug unless a live recipe owns them', async () => {
+  const { idx } = await buildIndex([
+    recipe('Hemingway Daiquiri', '2024-01-02', '', 'Papa Doble, daiquiri-no-3, negroni'),
+    recipe('Negroni', '2024-01-01', '', 'Negroni Classico')
+  ]);
+
+  assert.deepEqual({ ...idx._aliasIndex }, {
+    'papa-doble': 'hemingway-daiquiri',
+    'daiquiri-no-3': 'hemingway-daiquiri',
+    'negroni-classico': 'negroni'
+  });
+});
+
+test('malformed cells are reported with their row and column', async () => {
+  const builder = createIndexBuilder({
+    fetchSheetValues: async () => ({
+      values: [
+        [...HEADER, 'Notes'],
+        recipe('Daiquiri', '2024-01-01'),
+        ['Broken', 'not a url', 'Sours', '', '', '', '', 'someday', '{"rum":', '', '', '', '', '', ''],
+        ['', '', 'Sours', '', '', '', '', '2024-01-02', '[]', '', '', '', '', '', ''],
+        recipe('Daiquiri', '2999-01-01'),
+        recipe('Gimlet', '2024-01-03').map((value, col) => (col === 1 ? 'https://cdn.example.com/gimlet.jpg' : value))
+      ]
+    })
+  });
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' });
+  const issues = idx._validation.issues.map(({ row, column, problem }) => `${row}:${column}:${problem}`);
+
+  assert.deepEqual(issues, [
+    '1:Notes:unknown_header',
+    '3:Date:invalid_date',
+    '3:Image_URL:not_an_image_url',
+    '3:Ingredients_JSON:bad_json',
+    '4:Name:missing_required',
+    '5:Slug:duplicate_slug'
+  ]);
+  assert.equal(idx._validation.error_count, 3);
+  assert.equal(idx._validation.warning_count, 3);
+  assert.ok(!builder.hasPrecomputedMaps({ ...idx, _validation: undefined }));
+});
+
+test('columns past L and unknown headers reach post details through the column map', async () => {
+  const ranges = [];
+  const header = ['Cocktail', 'Date', 'Ingredients_JSON', 'Instructions', 'Prep', 'Cook_Time', 'Total_Time', 'Source', 'Author', 'Notes', 'Servings',
+    'Glass', 'Garnish', 'Category', 'Tags', 'Mood_Labels'];
+  const builder = createIndexBuilder({
+    fetchSheetValues: async (_env, range) => {
+      ranges.push(range);
+      const toddy = ['Hot Toddy', '2024-01-01', '[]', 'Build.', '5m', '3m', '8m', 'Family recipe', 'Ana', '', '1', 'Mug', 'Lemon', 'Hot', 'winter', 'cozy'];
+      return { values: range === 'posts!2:2' ? [toddy] : [header, toddy] };
+    }
+  });
+  const idx = await builder.buildIndexFromSheet({
+    SHEET_NAME: 'posts',
+    COLUMN_MAP: JSON.stringify({ name: 'Cocktail', prep_time: ['Prep'] })
+  });
+
+  assert.deepEqual(ranges, ['posts']);
+  const row = idx.rows[0];
+  assert.equal(row.slug, 'hot-toddy');
+  assert.equal(row.prep_time, '5m');
+  assert.deepEqual(row.mood_labels, ['cozy']);
+  assert.equal(row._details.glass, 'Mug');
+  assert.equal(row._details.cook_time, '3m');
+  assert.equal(row._details.total_time, '8m');
+  assert.equal(row._details.source, 'Family recipe');
+  assert.equal(row._details.author, 'Ana');
+  assert.equal(row._details.servings, '1');
+  assert.equal('notes' in row._details, false);
+  assert.deepEqual(idx._validation.issues.map(issue => `${issue.column}:${issue.problem}`), [
+    'Author:unknown_header',
+    'Notes:unknown_header',
+    'Servings:unknown_header',
+    'Source:unknown_header'
+  ]);
+
+  const full = await builder.fetchRowFull({ SHEET_NAME: 'posts' }, 2, { columns: idx._columns });
+  assert.equal(ranges[1], 'posts!2:2');
+  assert.equal(full.name, 'Hot Toddy');
+  assert.equal(full.total_time, '8m');
+  assert.equal(full.source, 'Family recipe');
+});
+
+test('only published rows reach the public index; previews include every state', async () => {
+  const header = [...HEADER, 'Status'];
+  const rows = [
+    [...recipe('Daiquiri', '2024-01-01'), ''],
+    [...recipe('Gimlet', '2024-01-02'), 'Draft'],
+    [...recipe('Sidecar', '2024-01-03'), 'archived'],
+    [...recipe('Negroni', '2999-05-01'), 'published'],
+    [...recipe('Paloma', '2999-03-01'), ''],
+    [...recipe('Bramble', '2024-01-04'), 'maybe']
+  ];
+  const builder = createIndexBuilder({ fetchSheetValues: async () => ({ values: [header, ...rows] }) });
+
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' });
+  assert.deepEqual(idx.rows.map(row => row.slug), ['daiquiri']);
+  assert.equal(idx.rows[0]._details.status, 'published');
+  assert.equal(idx._nextPublishAt, '2999-03-01T00:00:00.000Z');
+  assert.ok(idx._validation.issues.some(issue => issue.column === 'Status' && issue.problem === 'unknown_status' && issue.value === 'maybe'));
+
+  const preview = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' }, { includeUnpublished: true });
+  const statuses = Object.fromEntries(preview.rows.map(row => [row.slug, row._details.status]));
+  assert.deepEqual(statuses, {
+    daiquiri: 'published',
+    gimlet: 'draft',
+    sidecar: 'archived',
+    negroni: 'scheduled',
+    paloma: 'scheduled',
+    bramble: 'draft'
+  });
+});
+
+test('unpublished rows neither reserve public slugs nor show up in slug collisions', async () => {
+  const header = [...HEADER, 'Status'];
+  const rows = [
+    [...recipe('Secret Launch Negroni', '2024-01-01'), 'draft'],
+    [...recipe('Secret Launch Negroni', '2024-01-02'), 'draft'],
+    [...recipe('Negroni', '2024-01-03'), 'draft'],
+    [...recipe('Negroni', '2024-01-04'), ''],
+    [...recipe('Daiquiri', '2024-01-05'), '']
+  ];
+  const builder = createIndexBuilder({ fetchSheetValues: async () => ({ values: [header, ...rows] }) });
+
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' });
+  assert.deepEqual(idx.rows.map(row => row.slug), ['daiquiri', 'negroni']);
+  assert.equal(idx.rows[1]._row, 5);
+  assert.deepEqual(idx._slugCollisions, []);
+  assert.deepEqual(idx._validation.issues.filter(issue => issue.problem === 'duplicate_slug').map(issue => issue.row), [3, 4]);
+
+  const preview = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' }, { includeUnpublished: true });
+  const slugsByRow = Object.fromEntries(preview.rows.map(row => [row._row, row.slug]));
+  assert.deepEqual(slugsByRow, {
+    2: 'secret-launch-negroni',
+    3: 'secret-launch-negroni-2',
+    4: 'negroni-2',
+    5: 'negroni',
+    6: 'daiquiri'
+  });
+  assert.deepEqual(preview._slugCollisions.map(collision => collision.slug), ['negroni', 'secret-launch-negroni']);
+});
+
+test('scheduled rows are not reported as future dates', async () => {
+  const header = [...HEADER, 'Status'];
+  const rows = [
+    [...recipe('Negroni', '2999-01-01'), ''],
+    [...recipe('Gimlet', '2999-01-01'), 'draft']
+  ];
+  const builder = createIndexBuilder({ fetchSheetValues: async () => ({ values: [header, ...rows] }) });
+
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' });
+  assert.deepEqual(idx._validation.issues.map(issue => `${issue.row}:${issue.problem}`), ['3:future_date']);
+});
+
+test('a readable Ingredients column left of Ingredients_JSON does not shadow the JSON', async () => {
+  const header = ['Name', 'Ingredients', 'Ingredients_JSON', 'Date'];
+  const builder = createIndexBuilder({
+    fetchSheetValues: async () => ({ values: [header, ['Daiquiri', '2 oz rum, 1 oz lime', '[{"name":"White Rum","measure":"2 oz"}]', '2024-01-01']] })
+  });
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts' });
+
+  assert.equal(idx.rows[0]._details.ingredients[0].name, 'White Rum');
+  assert.deepEqual(idx._validation.issues.map(({ row, column, problem, value }) => `${row}:${column}:${problem}:${value}`), [
+    '1:Ingredients:shadowed_header:ingredients'
+  ]);
+});
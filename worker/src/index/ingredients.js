@@ -0,0 +1,46 @@
+import { tokenize } from './tokens.js';
+
+export function ingredientName(entry) {
+  if (typeof entry === 'string') return entry.trim();
+  if (!entry || typeof entry !== 'object') return '';
+  const value = entry.name ?? entry.ingredient ?? '';
+  return String(value).trim();
+}
+
+export function normalizeIngredientKey(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+export function ingredientKeys(ingredients) {
+  const out = [];
+  const seen = new Set();
+  for (const entry of Array.isArray(ingredients) ? ingredients : []) {
+    const key = normalizeIngredientKey(ingredientName(entry));
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    out.push(key);
+  }
+  return out;
+}
+
+export function ingredientMatches(ingredientKey, query) {
+  const key = normalizeIngredientKey(ingredientKey);
+  const wanted = normalizeIngredientKey(query);
+  if (!key || !wanted) return false;
+  if (key === wanted) return true;
+  const wantedTokens = tokenize(wanted);
+  if (!wantedTokens.length) return false;
+  const keyTokens = new Set(tokenize(key));
+  return wantedTokens.every(token => keyTokens.has(token));
+}
+
+export function matchingIngredientKeys(ingredientIndex, query) {
+  if (!ingredientIndex || typeof ingredientIndex !== 'object') return [];
+  const wanted = normalizeIngredientKey(query);
+  if (!wanted) return [];
+  const keys = [];
+  for (const key of Object.keys(ingredientIndex)) {
+    if (ingredientMatches(key, wanted)) keys.push(key);
+  }
+  return keys;
+}
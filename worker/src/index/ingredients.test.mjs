@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex, ingredientsJson } from './testFixtures.mjs';
+import { ingredientKeys, ingredientMatches } from './ingredients.js';
+
+test('ingredientKeys normalizes names and accepts plain strings', () => {
+  assert.deepEqual(
+    ingredientKeys([{ name: ' Sweet  Vermouth ' }, 'Campari', { name: 'campari' }, { measure: '1 oz' }]),
+    ['sweet vermouth', 'campari']
+  );
+});
+
+test('ingredientMatches requires every query token', () => {
+  assert.ok(ingredientMatches('fresh lime juice', 'lime'));
+  assert.ok(ingredientMatches('fresh lime juice', 'Lime Juice'));
+  assert.ok(!ingredientMatches('ginger beer', 'gin'));
+});
+
+test('ingredient names feed the token index and the ingredient filter', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Negroni', '', 'Classics', 'bitter', 'boozy', '5m', 'Easy', '2024-01-03', ingredientsJson('Gin', 'Campari', 'Sweet Vermouth'), '', '', ''],
+    ['Boulevardier', '', 'Classics', 'bitter', 'boozy', '5m', 'Easy', '2024-01-02', ingredientsJson('Bourbon', 'Campari', 'Sweet Vermouth'), '', '', ''],
+    ['Moscow Mule', '', 'Highballs', 'spicy', 'fresh', '5m', 'Easy', '2024-01-01', ingredientsJson('Vodka', 'Ginger Beer', 'Fresh Lime Juice'), '', '', '']
+  ]);
+
+  assert.deepEqual(Object.keys(idx._ingredientIndex).sort(), [
+    'bourbon', 'campari', 'fresh lime juice', 'gin', 'ginger beer', 'sweet vermouth', 'vodka'
+  ]);
+
+  const slugs = (indexes) => indexes.map(i => idx.rows[i].slug);
+
+  assert.deepEqual(slugs(builder.filterIndex(idx, 'campari')), ['negroni', 'boulevardier']);
+  assert.deepEqual(slugs(builder.filterIndex(idx, '', { ingredient: ['campari', 'gin'] })), ['negroni']);
+  assert.deepEqual(slugs(builder.filterIndex(idx, '', { ingredient: 'lime' })), ['moscow-mule']);
+  assert.deepEqual(slugs(builder.filterIndex(idx, '', { ingredient: ['campari', 'vodka'] })), []);
+});
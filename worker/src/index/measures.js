@@ -0,0 +1,198 @@
+export const UNIT_SYSTEMS = Object.freeze(['metric', 'imperial']);
+
+const ML_PER_UNIT = Object.freeze({
+  ml: 1,
+  cl: 10,
+  dl: 100,
+  l: 1000,
+  oz: 29.5735,
+  cup: 236.588
+});
+
+const APPROXIMATE_ML = Object.freeze({
+  tsp: 4.93,
+  tbsp: 14.79,
+  barspoon: 5,
+  dash: 0.9,
+  drop: 0.05,
+  splash: 7.5,
+  shot: 44,
+  part: 30
+});
+
+const CONVERSIONS = Object.freeze({
+  metric: { oz: 'ml', cup: 'ml' },
+  imperial: { ml: 'oz', cl: 'oz', dl: 'oz', l: 'oz' }
+});
+
+const UNIT_ALIASES = Object.freeze({
+  oz: ['fluid ounces', 'fluid ounce', 'fl. oz', 'fl oz', 'ounces', 'ounce', 'oz.', 'oz'],
+  ml: ['millilitres', 'milliliters', 'millilitre', 'milliliter', 'mls', 'ml'],
+  cl: ['centilitres', 'centiliters', 'centilitre', 'centiliter', 'cl'],
+  dl: ['decilitres', 'deciliters', 'decilitre', 'deciliter', 'dl'],
+  l: ['litres', 'liters', 'litre', 'liter', 'l'],
+  tsp: ['teaspoons', 'teaspoon', 'tsp.', 'tsp'],
+  tbsp: ['tablespoons', 'tablespoon', 'tbsp.', 'tbsp', 'tbs'],
+  cup: ['cups', 'cup'],
+  barspoon: ['bar spoons', 'bar spoon', 'barspoons', 'barspoon'],
+  dash: ['dashes', 'dash'],
+  drop: ['drops', 'drop'],
+  splash: ['splashes', 'splash'],
+  pinch: ['pinches', 'pinch'],
+  part: ['parts', 'part'],
+  shot: ['shots', 'shot'],
+  slice: ['slices', 'slice'],
+  wedge: ['wedges', 'wedge'],
+  sprig: ['sprigs', 'sprig'],
+  leaf: ['leaves', 'leaf'],
+  twist: ['twists', 'twist'],
+  cube: ['cubes', 'cube'],
+  piece: ['pieces', 'piece']
+});
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES)
+  .flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+const PLURALS = Object.freeze({
+  barspoon: 'barspoons', dash: 'dashes', drop: 'drops', splash: 'splashes', pinch: 'pinches',
+  part: 'parts', shot: 'shots', slice: 'slices', wedge: 'wedges', sprig: 'sprigs', leaf: 'leaves',
+  twist: 'twists', cube: 'cubes', piece: 'pieces', cup: 'cups'
+});
+
+const METRIC_UNITS = new Set(['ml', 'cl', 'dl', 'l']);
+
+const UNICODE_FRACTIONS = Object.freeze({
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+});
+
+const NUMBER = String.raw`(?:\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)`;
+const QUANTITY_PATTERN = new RegExp(String.raw`^(${NUMBER})(?:\s*(?:-|–|to)\s*(${NUMBER}))?\s*`);
+const ARTICLE_PATTERN = /^(?:a|an|one)\s+/;
+
+function parseNumber(text) {
+  const parts = text.trim().split(/\s+/);
+  let total = 0;
+  for (const part of parts) {
+    if (part.includes('/')) {
+      const [num, den] = part.split('/').map(Number);
+      if (!den) return null;
+      total += num / den;
+    } else {
+      total += Number(part.replace(',', '.'));
+    }
+  }
+  return Number.isFinite(total) ? total : null;
+}
+
+function matchUnit(text) {
+  for (const [alias, unit] of UNIT_LOOKUP) {
+    if (!text.startsWith(alias)) continue;
+    const next = text.charAt(alias.length);
+    if (!next || !/[a-z]/.test(next)) return unit;
+  }
+  return null;
+}
+
+export function parseMeasure(text) {
+  const original = String(text ?? '').trim();
+  if (!original) return null;
+
+  let rest = original
+    .toLowerCase()
+    .replace(/(\d)?([½⅓⅔¼¾⅛⅜⅝⅞])/g, (_, whole, frac) => `${whole ? `${whole} ` : ''}${UNICODE_FRACTIONS[frac]}`)
+    .replace(/\s+/g, ' ');
+
+  let quantity = null;
+  let quantityMax = null;
+  const numeric = rest.match(QUANTITY_PATTERN);
+  if (numeric) {
+    quantity = parseNumber(numeric[1]);
+    quantityMax = numeric[2] ? parseNumber(numeric[2]) : null;
+    rest = rest.slice(numeric[0].length);
+  } else if (ARTICLE_PATTERN.test(rest)) {
+    quantity = 1;
+    rest = rest.replace(ARTICLE_PATTERN, '');
+  }
+
+  if (quantity === null) return { quantity: null, unit: null, display: original };
+
+  const unit = matchUnit(rest);
+  const amount = { quantity, unit };
+  if (quantityMax !== null && quantityMax > quantity) amount.quantity_max = quantityMax;
+  amount.display = unit || !rest ? formatAmount(amount) : original;
+  return amount;
+}
+
+function formatNumber(value, unit) {
+  if (METRIC_UNITS.has(unit)) return String(Math.round(value * 100) / 100);
+  const whole = Math.floor(value + 1e-9);
+  const fraction = value - whole;
+  if (fraction < 0.01) return String(whole);
+  for (const den of [2, 3, 4, 8]) {
+    const num = Math.round(fraction * den);
+    if (num > 0 && num < den && Math.abs(fraction - num / den) < 0.01) {
+      return whole ? `${whole} ${num}/${den}` : `${num}/${den}`;
+    }
+  }
+  return String(Math.round(value * 100) / 100);
+}
+
+function formatAmount(amount) {
+  if (!amount || amount.quantity === null || amount.quantity === undefined) return amount ? amount.display || '' : '';
+  const max = amount.quantity_max ?? null;
+  const number = max !== null
+    ? `${formatNumber(amount.quantity, amount.unit)}-${formatNumber(max, amount.unit)}`
+    : formatNumber(amount.quantity, amount.unit);
+  if (!amount.unit) return number;
+  const plural = (max ?? amount.quantity) > 1 && PLURALS[amount.unit];
+  return `${number} ${plural || amount.unit}`;
+}
+
+function roundTo(unit, value) {
+  if (unit === 'oz') {
+    const step = value < 1 ? 8 : 4;
+    return Math.max(1 / 8, Math.round(value * step) / step);
+  }
+  const step = value >= 10 ? 2.5 : 0.5;
+  return Math.max(0.5, Math.round(value / step) * step);
+}
+
+export function convertMeasure(amount, system) {
+  if (!amount || amount.quantity === null || !amount.unit) return amount;
+  const target = CONVERSIONS[system] && CONVERSIONS[system][amount.unit];
+  if (!target) return amount;
+
+  const convert = value => roundTo(target, (value * ML_PER_UNIT[amount.unit]) / ML_PER_UNIT[target]);
+  const converted = { quantity: convert(amount.quantity), unit: target };
+  if (amount.quantity_max !== undefined && amount.quantity_max !== null) {
+    converted.quantity_max = convert(amount.quantity_max);
+  }
+  converted.display = formatAmount(converted);
+  return converted;
+}
+
+export function amountInMilliliters(amount) {
+  if (!amount || typeof amount !== 'object' || !Number.isFinite(amount.quantity)) return null;
+  const perUnit = ML_PER_UNIT[amount.unit] ?? APPROXIMATE_ML[amount.unit];
+  if (!perUnit) return null;
+  const quantity = Number.isFinite(amount.quantity_max) ? (amount.quantity + amount.quantity_max) / 2 : amount.quantity;
+  return quantity * perUnit;
+}
+
+export function structureIngredients(ingredients) {
+  if (!Array.isArray(ingredients)) return [];
+  return ingredients.map(entry => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return entry;
+    if (entry.amount && typeof entry.amount === 'object') return entry;
+    const measure = entry.measure ?? (typeof entry.amount === 'string' ? entry.amount : undefined);
+    return measure === undefined ? { ...entry, amount: null } : { ...entry, measure, amount: parseMeasure(measure) };
+  });
+}
+
+export function ingredientsInUnits(ingredients, system) {
+  return structureIngredients(ingredients).map(entry => {
+    if (!system || !entry || typeof entry !== 'object' || !entry.amount) return entry;
+    return { ...entry, amount: convertMeasure(entry.amount, system) };
+  });
+}
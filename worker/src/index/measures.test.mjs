@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMeasure, convertMeasure, structureIngredients, ingredientsInUnits } from './measures.js';
+
+test('parseMeasure reads fractions, ranges and articles into quantity and unit', () => {
+  assert.deepEqual(parseMeasure('1 1/2 oz'), { quantity: 1.5, unit: 'oz', display: '1 1/2 oz' });
+  assert.deepEqual(parseMeasure('2 dashes'), { quantity: 2, unit: 'dash', display: '2 dashes' });
+  assert.deepEqual(parseMeasure('3/4 cl'), { quantity: 0.75, unit: 'cl', display: '0.75 cl' });
+  assert.deepEqual(parseMeasure('a splash'), { quantity: 1, unit: 'splash', display: '1 splash' });
+  assert.deepEqual(parseMeasure('1½ Ounces'), { quantity: 1.5, unit: 'oz', display: '1 1/2 oz' });
+  assert.deepEqual(parseMeasure('2-3 dashes'), { quantity: 2, unit: 'dash', quantity_max: 3, display: '2-3 dashes' });
+  assert.deepEqual(parseMeasure('1,5 cl'), { quantity: 1.5, unit: 'cl', display: '1.5 cl' });
+});
+
+test('parseMeasure keeps text it cannot read as the display', () => {
+  assert.deepEqual(parseMeasure('Top up'), { quantity: null, unit: null, display: 'Top up' });
+  assert.deepEqual(parseMeasure('1 lime'), { quantity: 1, unit: null, display: '1 lime' });
+  assert.equal(parseMeasure('  '), null);
+});
+
+test('convertMeasure converts volumes and leaves counted units alone', () => {
+  assert.deepEqual(convertMeasure(parseMeasure('1 1/2 oz'), 'metric'), { quantity: 45, unit: 'ml', display: '45 ml' });
+  assert.deepEqual(convertMeasure(parseMeasure('3/4 oz'), 'metric'), { quantity: 22.5, unit: 'ml', display: '22.5 ml' });
+  assert.deepEqual(convertMeasure(parseMeasure('3/4 cl'), 'imperial'), { quantity: 0.25, unit: 'oz', display: '1/4 oz' });
+  assert.deepEqual(convertMeasure(parseMeasure('60 ml'), 'imperial'), { quantity: 2, unit: 'oz', display: '2 oz' });
+  assert.deepEqual(convertMeasure(parseMeasure('2 dashes'), 'metric'), { quantity: 2, unit: 'dash', display: '2 dashes' });
+  assert.deepEqual(convertMeasure(parseMeasure('45 ml'), 'metric'), { quantity: 45, unit: 'ml', display: '45 ml' });
+});
+
+test('ingredients keep their original measure next to the structured amount', () => {
+  const structured = structureIngredients([{ name: 'Gin', measure: '2 oz' }, 'Ice']);
+  assert.deepEqual(structured, [{ name: 'Gin', measure: '2 oz', amount: { quantity: 2, unit: 'oz', display: '2 oz' } }, 'Ice']);
+
+  assert.deepEqual(ingredientsInUnits(structured, 'metric')[0], {
+    name: 'Gin',
+    measure: '2 oz',
+    amount: { quantity: 60, unit: 'ml', display: '60 ml' }
+  });
+  assert.deepEqual(ingredientsInUnits([{ name: 'Gin', measure: '2 oz' }], ''), structured.slice(0, 1));
+  assert.deepEqual(structureIngredients([{ name: 'Aperol', amount: '3 oz' }])[0], {
+    name: 'Aperol',
+    measure: '3 oz',
+    amount: { quantity: 3, unit: 'oz', display: '3 oz' }
+  });
+});
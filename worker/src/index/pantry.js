@@ -0,0 +1,70 @@
+import { ingredientKeys, ingredientMatches, ingredientName, normalizeIngredientKey } from './ingredients.js';
+
+export const PANTRY_STAPLES = Object.freeze(['ice', 'water']);
+export const PANTRY_MAX_MISSING = 3;
+
+export function satisfiesIngredient(haveList, ingredientKey) {
+  if (PANTRY_STAPLES.includes(normalizeIngredientKey(ingredientKey))) return true;
+  for (const have of haveList) {
+    if (ingredientMatches(ingredientKey, have) || ingredientMatches(have, ingredientKey)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function ingredientDisplayNames(row) {
+  const names = new Map();
+  const details = row && row._details;
+  const source = details && Array.isArray(details.ingredients) ? details.ingredients : [];
+  for (const entry of source) {
+    const display = ingredientName(entry);
+    const key = normalizeIngredientKey(display);
+    if (key && !names.has(key)) names.set(key, display);
+  }
+  return names;
+}
+
+export function matchPantry(idx, haveRaw, { maxMissing = 2 } = {}) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const have = Array.from(new Set(
+    (Array.isArray(haveRaw) ? haveRaw : []).map(normalizeIngredientKey).filter(Boolean)
+  ));
+
+  const satisfied = new Map();
+  const isSatisfied = (key) => {
+    if (!satisfied.has(key)) satisfied.set(key, satisfiesIngredient(have, key));
+    return satisfied.get(key);
+  };
+
+  const matches = [];
+  for (let pos = 0; pos < rows.length; pos++) {
+    const row = rows[pos];
+    if (!row) continue;
+    const keys = Array.isArray(row._ingredients_lc)
+      ? row._ingredients_lc
+      : ingredientKeys(row._details && row._details.ingredients);
+    if (!keys.length) continue;
+
+    const missingKeys = keys.filter(key => !isSatisfied(key));
+    if (missingKeys.length > maxMissing) continue;
+
+    const displayNames = missingKeys.length ? ingredientDisplayNames(row) : null;
+    matches.push({
+      pos,
+      missing: missingKeys.map(key => (displayNames && displayNames.get(key)) || key),
+      matchedCount: keys.length - missingKeys.length,
+      ingredientCount: keys.length
+    });
+  }
+
+  matches.sort((a, b) => {
+    if (a.missing.length !== b.missing.length) return a.missing.length - b.missing.length;
+    const coverageA = a.matchedCount / a.ingredientCount;
+    const coverageB = b.matchedCount / b.ingredientCount;
+    if (coverageA !== coverageB) return coverageB - coverageA;
+    return a.pos - b.pos;
+  });
+
+  return matches;
+}
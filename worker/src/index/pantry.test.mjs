@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex, ingredientsJson } from './testFixtures.mjs';
+import { matchPantry } from './pantry.js';
+
+test('matchPantry ranks makeable recipes first and lists what is missing', async () => {
+  const { idx } = await buildIndex([
+    ['Daiquiri', '', 'Sours', '', '', '5m', 'Easy', '2024-01-04', ingredientsJson('White Rum', 'Fresh Lime Juice', 'Simple Syrup'), '', '', ''],
+    ['Mojito', '', 'Highballs', '', '', '5m', 'Easy', '2024-01-03', ingredientsJson('White Rum', 'Fresh Lime Juice', 'Mint', 'Soda Water', 'Ice'), '', '', ''],
+    ['Gimlet', '', 'Sours', '', '', '5m', 'Easy', '2024-01-02', ingredientsJson('Gin', 'Lime Cordial'), '', '', ''],
+    ['Negroni', '', 'Classics', '', '', '5m', 'Easy', '2024-01-01', ingredientsJson('Gin', 'Campari', 'Sweet Vermouth'), '', '', '']
+  ]);
+
+  const matches = matchPantry(idx, ['rum', 'Lime', 'simple syrup', 'mint'], { maxMissing: 2 });
+  const summary = matches.map(m => [idx.rows[m.pos].slug, m.missing]);
+
+  assert.deepEqual(summary, [
+    ['daiquiri', []],
+    ['mojito', ['Soda Water']],
+    ['gimlet', ['Gin']]
+  ]);
+});
+
+test('matchPantry honors maxMissing', async () => {
+  const { idx } = await buildIndex([
+    ['Negroni', '', 'Classics', '', '', '5m', 'Easy', '2024-01-01', ingredientsJson('Gin', 'Campari', 'Sweet Vermouth'), '', '', '']
+  ]);
+
+  assert.equal(matchPantry(idx, ['gin'], { maxMissing: 1 }).length, 0);
+  assert.deepEqual(matchPantry(idx, ['gin'], { maxMissing: 2 })[0].missing, ['Campari', 'Sweet Vermouth']);
+});
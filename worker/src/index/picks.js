@@ -0,0 +1,66 @@
+import { hashString } from '../utils.js';
+
+export const RANDOM_MAX_COUNT = 12;
+export const DAILY_DEFAULT_WINDOW_DAYS = 30;
+
+export function pickRandom(indexes, count, random = Math.random) {
+  const pool = Array.isArray(indexes) ? indexes.slice() : [];
+  const wanted = Math.min(Math.max(0, count), pool.length);
+  for (let i = 0; i < wanted; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, wanted);
+}
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function localDateKey(now, timeZone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now);
+  const get = (type) => (parts.find(part => part.type === type) || {}).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function shiftDateKey(dateKey, days) {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function trimDailyHistory(history, dateKey, windowDays) {
+  const out = {};
+  const oldest = shiftDateKey(dateKey, -Math.max(windowDays, 1));
+  for (const [day, slug] of Object.entries(history || {})) {
+    if (typeof slug !== 'string' || !slug) continue;
+    if (day >= oldest) out[day] = slug;
+  }
+  return out;
+}
+
+export function chooseDailySlug(idx, dateKey, history = {}, windowDays = DAILY_DEFAULT_WINDOW_DAYS) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const slugs = Array.from(new Set(rows.map(row => row && row.slug).filter(Boolean))).sort();
+  if (!slugs.length) return null;
+
+  const from = shiftDateKey(dateKey, -windowDays);
+  const recent = new Set();
+  for (const [day, slug] of Object.entries(history || {})) {
+    if (day >= from && day < dateKey) recent.add(slug);
+  }
+
+  let candidates = slugs.filter(slug => !recent.has(slug));
+  if (!candidates.length) candidates = slugs;
+  return candidates[hashString(`daily:${dateKey}`) % candidates.length];
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pickRandom, localDateKey, chooseDailySlug, trimDailyHistory, isValidTimeZone } from './picks.js';
+
+function fakeIndex(count) {
+  return { rows: Array.from({ length: count }, (_, i) => ({ slug: `drink-${i}` })) };
+}
+
+test('pickRandom returns distinct picks from the matched set', () => {
+  const picks = pickRandom([4, 8, 15, 16, 23, 42], 4);
+  assert.equal(picks.length, 4);
+  assert.equal(new Set(picks).size, 4);
+  assert.ok(picks.every(p => [4, 8, 15, 16, 23, 42].includes(p)));
+  assert.deepEqual(pickRandom([1, 2], 5).sort(), [1, 2]);
+  assert.deepEqual(pickRandom([], 3), []);
+});
+
+test('localDateKey resolves the calendar day in the requested timezone', () => {
+  const now = new Date('2024-03-10T02:30:00Z');
+  assert.equal(localDateKey(now, 'UTC'), '2024-03-10');
+  assert.equal(localDateKey(now, 'America/Los_Angeles'), '2024-03-09');
+  assert.equal(localDateKey(now, 'Asia/Tokyo'), '2024-03-10');
+  assert.equal(isValidTimeZone('Europe/Paris'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('chooseDailySlug is stable per day and avoids repeats within the window', () => {
+  const idx = fakeIndex(10);
+  assert.equal(chooseDailySlug(idx, '2024-05-01'), chooseDailySlug(idx, '2024-05-01'));
+
+  let history = {};
+  const day = new Date('2024-05-01T00:00:00Z');
+  for (let i = 0; i < 7; i++) {
+    const date = day.toISOString().slice(0, 10);
+    history[date] = chooseDailySlug(idx, date, history, 7);
+    history = trimDailyHistory(history, date, 7);
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  assert.equal(new Set(Object.values(history)).size, 7);
+
+  const exhausted = fakeIndex(2);
+  const full = { '2024-04-29': 'drink-0', '2024-04-30': 'drink-1' };
+  assert.ok(['drink-0', 'drink-1'].includes(chooseDailySlug(exhausted, '2024-05-01', full, 7)));
+});
@@ -0,0 +1,42 @@
+const CARD_FIELDS = ['slug', 'name', 'date', 'category', 'difficulty', 'prep_time', 'tags', 'mood_labels', 'image_url', 'image_thumb'];
+const DETAIL_FIELDS = ['ingredients', 'instructions', 'glass', 'garnish', 'cook_time', 'total_time', 'status', 'strength', 'alcohol_content'];
+
+export const LIST_VIEWS = Object.freeze({
+  compact: Object.freeze(['slug', 'name', 'image_thumb']),
+  card: Object.freeze(CARD_FIELDS),
+  full: Object.freeze([...CARD_FIELDS, 'ingredients', 'glass', 'garnish'])
+});
+
+export const DEFAULT_LIST_VIEW = 'card';
+
+export const PROJECTABLE_FIELDS = Object.freeze([...CARD_FIELDS, ...DETAIL_FIELDS]);
+
+export function resolveProjection(viewRaw, fieldsRaw) {
+  const requested = [];
+  const parts = [].concat(fieldsRaw ?? []).flatMap(value => String(value ?? '').split(','));
+  for (const part of parts) {
+    const field = part.trim().toLowerCase();
+    if (PROJECTABLE_FIELDS.includes(field) && !requested.includes(field)) requested.push(field);
+  }
+  if (requested.length) {
+    if (!requested.includes('slug')) requested.unshift('slug');
+    return requested;
+  }
+
+  const view = String(viewRaw ?? '').trim().toLowerCase();
+  return (LIST_VIEWS[view] || LIST_VIEWS[DEFAULT_LIST_VIEW]).slice();
+}
+
+export function projectRow(row, fields) {
+  const out = {};
+  if (!row) return out;
+  const details = row._details && typeof row._details === 'object' ? row._details : {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(row, field)) {
+      out[field] = row[field];
+    } else if (Object.prototype.hasOwnProperty.call(details, field)) {
+      out[field] = details[field];
+    }
+  }
+  return out;
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveProjection, projectRow, LIST_VIEWS } from './projection.js';
+
+const ROW = {
+  _row: 2,
+  slug: 'daiquiri',
+  name: 'Daiquiri',
+  date: '2024-01-01',
+  category: 'Sours',
+  image_thumb: 'thumb.jpg',
+  _name_lc: 'daiquiri',
+  _details: { ingredients: [{ name: 'White Rum' }], glass: 'Coupe', garnish: 'Lime', instructions: 'Shake.' }
+};
+
+test('resolveProjection prefers explicit fields and always keeps slug', () => {
+  assert.deepEqual(resolveProjection('', ''), LIST_VIEWS.card);
+  assert.deepEqual(resolveProjection('COMPACT', undefined), ['slug', 'name', 'image_thumb']);
+  assert.deepEqual(resolveProjection('unknown', ''), LIST_VIEWS.card);
+  assert.deepEqual(resolveProjection('compact', 'name,instructions,_row,bogus'), ['slug', 'name', 'instructions']);
+  assert.deepEqual(resolveProjection('', ['name', 'glass,garnish']), ['slug', 'name', 'glass', 'garnish']);
+});
+
+test('projectRow omits internals and reads detail fields', () => {
+  assert.deepEqual(projectRow(ROW, resolveProjection('compact')), { slug: 'daiquiri', name: 'Daiquiri', image_thumb: 'thumb.jpg' });
+
+  const full = projectRow(ROW, resolveProjection('full'));
+  assert.equal(full._row, undefined);
+  assert.equal(full.glass, 'Coupe');
+  assert.deepEqual(full.ingredients, [{ name: 'White Rum' }]);
+  assert.equal(full.instructions, undefined);
+});
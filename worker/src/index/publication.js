@@ -0,0 +1,22 @@
+export const PUBLICATION_STATUSES = Object.freeze(['draft', 'published', 'archived']);
+
+export function isKnownStatus(raw) {
+  const value = String(raw ?? '').trim().toLowerCase();
+  return !value || PUBLICATION_STATUSES.includes(value);
+}
+
+export function publicationStatus(raw, date, today) {
+  const value = String(raw ?? '').trim().toLowerCase();
+  const status = !value ? 'published' : (PUBLICATION_STATUSES.includes(value) ? value : 'draft');
+  if (status === 'published' && /^\d{4}-\d{2}-\d{2}$/.test(String(date || '')) && date > today) return 'scheduled';
+  return status;
+}
+
+export function scheduledPublishAt(date) {
+  return `${date}T00:00:00.000Z`;
+}
+
+export function isPublishDue(idx, now = Date.now()) {
+  const at = idx && idx._nextPublishAt ? Date.parse(idx._nextPublishAt) : NaN;
+  return Number.isFinite(at) && at <= now;
+}
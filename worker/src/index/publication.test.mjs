@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isKnownStatus, isPublishDue, publicationStatus, scheduledPublishAt } from './publication.js';
+
+test('an empty status means published and unknown values stay hidden as drafts', () => {
+  assert.equal(publicationStatus('', '2024-01-01', '2024-06-01'), 'published');
+  assert.equal(publicationStatus(' Archived ', '2024-01-01', '2024-06-01'), 'archived');
+  assert.equal(publicationStatus('DRAFT', '2024-01-01', '2024-06-01'), 'draft');
+  assert.equal(publicationStatus('pending', '2024-01-01', '2024-06-01'), 'draft');
+  assert.equal(isKnownStatus(''), true);
+  assert.equal(isKnownStatus('Published'), true);
+  assert.equal(isKnownStatus('pending'), false);
+});
+
+test('published rows dated in the future are scheduled until that UTC day', () => {
+  assert.equal(publicationStatus('published', '2024-06-02', '2024-06-01'), 'scheduled');
+  assert.equal(publicationStatus('', '2024-06-01', '2024-06-01'), 'published');
+  assert.equal(publicationStatus('draft', '2024-06-02', '2024-06-01'), 'draft');
+  assert.equal(scheduledPublishAt('2024-06-02'), '2024-06-02T00:00:00.000Z');
+
+  const idx = { _nextPublishAt: '2024-06-02T00:00:00.000Z' };
+  assert.equal(isPublishDue(idx, Date.parse('2024-06-01T23:59:59Z')), false);
+  assert.equal(isPublishDue(idx, Date.parse('2024-06-02T00:00:00Z')), true);
+  assert.equal(isPublishDue({ _nextPublishAt: null }), false);
+});
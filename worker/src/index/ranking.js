@@ -0,0 +1,125 @@
+import { tokenize } from './tokens.js';
+
+export const FIELD_WEIGHTS = Object.freeze({
+  name: 3,
+  tags: 1.5,
+  moods: 1,
+  ingredients: 1
+});
+
+export const MATCH_WEIGHTS = Object.freeze({
+  exact: 1,
+  prefix: 0.6,
+  partial: 0.3,
+  fuzzy: 0.5,
+  synonym: 0.8
+});
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export function rowFieldTokens(row) {
+  if (!row || typeof row !== 'object') {
+    return { name: [], tags: [], moods: [], ingredients: [] };
+  }
+  const name = tokenize(row._name_lc ?? row.name);
+  const tagSource = Array.isArray(row._tags_lc) ? row._tags_lc : (Array.isArray(row.tags) ? row.tags : []);
+  const moodSource = Array.isArray(row._moods_lc) ? row._moods_lc : (Array.isArray(row.mood_labels) ? row.mood_labels : []);
+  const ingredientSource = Array.isArray(row._ingredients_lc) ? row._ingredients_lc : [];
+  return {
+    name,
+    tags: tagSource.flatMap(tokenize),
+    moods: moodSource.flatMap(tokenize),
+    ingredients: ingredientSource.flatMap(tokenize)
+  };
+}
+
+function weightedLength(fields) {
+  let total = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    total += weight * (fields[field] ? fields[field].length : 0);
+  }
+  return total;
+}
+
+export function buildFieldStats(rows) {
+  const list = Array.isArray(rows) ? rows : [];
+  let totalLength = 0;
+  for (const row of list) {
+    totalLength += weightedLength(rowFieldTokens(row));
+  }
+  return {
+    docCount: list.length,
+    avgLength: list.length ? totalLength / list.length : 0
+  };
+}
+
+export function ensureFieldStats(idx) {
+  if (!idx || typeof idx !== 'object') return null;
+  const stats = idx._fieldStats;
+  const rowCount = Array.isArray(idx.rows) ? idx.rows.length : 0;
+  if (stats && typeof stats === 'object'
+    && stats.docCount === rowCount
+    && Number.isFinite(stats.avgLength)) {
+    return stats;
+  }
+  idx._fieldStats = buildFieldStats(idx.rows);
+  return idx._fieldStats;
+}
+
+function termFrequency(tokens, term) {
+  let tf = 0;
+  for (const token of tokens) {
+    if (token === term) {
+      tf += MATCH_WEIGHTS.exact;
+    } else if (token.startsWith(term)) {
+      tf += MATCH_WEIGHTS.prefix;
+    } else if (token.includes(term)) {
+      tf += MATCH_WEIGHTS.partial;
+    }
+  }
+  return tf;
+}
+
+function inverseDocumentFrequency(docCount, df) {
+  const n = Math.max(docCount, df);
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+export function scoreRow(row, terms, stats) {
+  if (!terms.length) return 0;
+  const fields = rowFieldTokens(row);
+  const docLength = weightedLength(fields);
+  const avgLength = stats.avgLength > 0 ? stats.avgLength : 1;
+  const norm = BM25_K1 * (1 - BM25_B + BM25_B * (docLength / avgLength));
+
+  let score = 0;
+  for (const { token, df, weight = 1 } of terms) {
+    let tf = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const fieldTokens = fields[field];
+      if (fieldTokens && fieldTokens.length) {
+        tf += weight * termFrequency(fieldTokens, token);
+      }
+    }
+    if (!tf) continue;
+    const idf = inverseDocumentFrequency(stats.docCount, df);
+    score += weight * idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+  }
+  return score;
+}
+
+export function rankByRelevance(idx, indexes, terms) {
+  const list = Array.isArray(indexes) ? indexes : [];
+  if (!list.length || !Array.isArray(terms) || !terms.length) return list.slice();
+
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const stats = ensureFieldStats(idx) || { docCount: rows.length, avgLength: 0 };
+
+  const scored = list.map((pos) => ({ pos, score: scoreRow(rows[pos], terms, stats) }));
+  scored.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return a.pos - b.pos;
+  });
+  return scored.map(entry => entry.pos);
+}
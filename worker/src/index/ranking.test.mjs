@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex, ingredientsJson } from './testFixtures.mjs';
+import { ensureFieldStats, rankByRelevance, scoreRow, FIELD_WEIGHTS } from './ranking.js';
+
+function slugsFor(idx, indexes) {
+  return indexes.map(i => idx.rows[i].slug);
+}
+
+test('name matches outrank newer tag matches', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Lime Gimlet', '', 'Classics', 'gin', 'crisp', '5m', 'Easy', '2019-06-01', '[]', '', '', ''],
+    ['Summer Cooler', '', 'Highballs', 'lime,soda', 'bright', '5m', 'Easy', '2024-06-01', '[]', '', '', ''],
+    ['Garden Fizz', '', 'Highballs', 'cucumber,lime', 'fresh', '5m', 'Easy', '2023-06-01', '[]', '', '', '']
+  ]);
+
+  const matched = builder.filterIndex(idx, 'lime');
+  assert.deepEqual(slugsFor(idx, matched), ['summer-cooler', 'garden-fizz', 'lime-gimlet']);
+
+  const ranked = builder.rankIndexes(idx, matched, 'lime');
+  assert.equal(slugsFor(idx, ranked)[0], 'lime-gimlet');
+});
+
+test('exact token hits rank above prefix hits and ties fall back to date', async () => {
+  const { idx } = await buildIndex([
+    ['Rum Punch', '', 'Punches', '', '', '5m', 'Easy', '2020-01-01', '[]', '', '', ''],
+    ['Rumba', '', 'Tiki', '', '', '5m', 'Easy', '2024-01-01', '[]', '', '', ''],
+    ['Rum Swizzle', '', 'Tiki', '', '', '5m', 'Easy', '2022-01-01', '[]', '', '', '']
+  ]);
+
+  const all = idx.rows.map((_, i) => i);
+  const ranked = rankByRelevance(idx, all, [{ token: 'rum', df: 2 }]);
+  assert.deepEqual(slugsFor(idx, ranked), ['rum-swizzle', 'rum-punch', 'rumba']);
+});
+
+test('rankByRelevance rebuilds missing field stats for legacy indexes', async () => {
+  const { idx } = await buildIndex([
+    ['Negroni', '', 'Classics', 'bitter', '', '5m', 'Easy', '2021-01-01', '[]', '', '', '']
+  ]);
+  delete idx._fieldStats;
+
+  const ranked = rankByRelevance(idx, [0], [{ token: 'negroni', df: 1 }]);
+  assert.deepEqual(ranked, [0]);
+  assert.equal(idx._fieldStats.docCount, 1);
+});
+
+test('ingredient-only queries score every match and rank by ingredient weight', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Jungle Bird', '', 'Tiki', '', '', '5m', 'Easy', '2024-01-03', ingredientsJson('Dark Rum', 'Campari', 'Pineapple Juice', 'Lime Juice', 'Demerara Syrup'), '', '', ''],
+    ['Garibaldi', '', 'Highballs', '', '', '5m', 'Easy', '2024-01-02', ingredientsJson('Campari', 'Fluffy Orange Juice'), '', '', ''],
+    ['Boulevardier', '', 'Classics', '', '', '5m', 'Easy', '2019-01-01', ingredientsJson('Bourbon', 'Campari', 'Sweet Vermouth'), '', '', '']
+  ]);
+
+  assert.ok(FIELD_WEIGHTS.ingredients > 0);
+  const stats = ensureFieldStats(idx);
+  const matched = builder.filterIndex(idx, 'campari');
+  assert.equal(matched.length, 3);
+  assert.ok(matched.every(pos => scoreRow(idx.rows[pos], [{ token: 'campari', df: 3 }], stats) > 0));
+
+  const ranked = builder.rankIndexes(idx, matched, 'campari');
+  assert.deepEqual(slugsFor(idx, ranked), ['garibaldi', 'boulevardier', 'jungle-bird']);
+});
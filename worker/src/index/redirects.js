@@ -0,0 +1,75 @@
+import { hashString } from '../utils.js';
+
+const MAX_REDIRECT_HOPS = 10;
+
+export function contentFingerprint(row) {
+  const details = (row && row._details) || {};
+  const payload = JSON.stringify([row && row.date, details.ingredients || [], details.instructions || '', row && row.image_url]);
+  return hashString(payload).toString(36);
+}
+
+function liveSlugs(idx) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  return new Set(rows.map(row => row && row.slug).filter(Boolean));
+}
+
+export function mergeSlugHistory(history, idx) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const live = liveSlugs(idx);
+  const previous = history && typeof history === 'object' ? history : {};
+  const redirects = { ...(previous.redirects || {}) };
+
+  const seen = {};
+  const byFingerprint = new Map();
+  for (const row of rows) {
+    if (!row || !row.slug) continue;
+    const fp = contentFingerprint(row);
+    seen[row.slug] = fp;
+    byFingerprint.set(fp, byFingerprint.has(fp) ? null : row.slug);
+  }
+
+  for (const [old, fp] of Object.entries(previous.seen || {})) {
+    if (live.has(old)) continue;
+    const target = byFingerprint.get(fp);
+    if (target) redirects[old] = target;
+  }
+
+  for (const old of Object.keys(redirects)) {
+    if (live.has(old)) {
+      delete redirects[old];
+      continue;
+    }
+    let target = redirects[old];
+    for (let hops = 0; !live.has(target) && redirects[target] && hops < MAX_REDIRECT_HOPS; hops++) {
+      target = redirects[target];
+    }
+    if (target === old) delete redirects[old];
+    else redirects[old] = target;
+  }
+
+  const next = { redirects, seen };
+  return { history: next, changed: JSON.stringify(next) !== JSON.stringify({ redirects: previous.redirects || {}, seen: previous.seen || {} }) };
+}
+
+export function resolveRedirect(idx, slug) {
+  const key = String(slug || '').toLowerCase();
+  if (!key || !idx) return null;
+  const live = idx._slugIndex && typeof idx._slugIndex === 'object' ? idx._slugIndex : {};
+  for (const source of [idx._aliasIndex, idx._slugHistory]) {
+    const target = source && typeof source === 'object' ? source[key] : undefined;
+    if (typeof target === 'string' && Number.isInteger(live[target])) return target;
+  }
+  return null;
+}
+
+export function redirectMap(idx) {
+  const out = {};
+  for (const source of [idx && idx._slugHistory, idx && idx._aliasIndex]) {
+    if (!source || typeof source !== 'object') continue;
+    for (const old of Object.keys(source)) {
+      const target = resolveRedirect(idx, old);
+      if (target) out[old] = target;
+    }
+  }
+  return Object.fromEntries(Object.entries(out).sort((a, b) => a[0].localeCompare(b[0])));
+}
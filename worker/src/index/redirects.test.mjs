@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeSlugHistory, resolveRedirect, redirectMap } from './redirects.js';
+
+function fakeIndex(entries) {
+  const rows = entries.map(([slug, instructions]) => ({
+    slug,
+    date: '2024-01-01',
+    image_url: '',
+    _details: { ingredients: [], instructions }
+  }));
+  const _slugIndex = Object.fromEntries(rows.map((row, i) => [row.slug, i]));
+  return { rows, _slugIndex };
+}
+
+test('mergeSlugHistory follows renamed rows by content and collapses chains', () => {
+  const first = mergeSlugHistory(null, fakeIndex([['daiquiri', 'Shake.'], ['negroni', 'Stir.']]));
+  assert.equal(first.changed, true);
+  assert.deepEqual(first.history.redirects, {});
+
+  const second = mergeSlugHistory(first.history, fakeIndex([['classic-daiquiri', 'Shake.'], ['negroni', 'Stir.']]));
+  assert.deepEqual(second.history.redirects, { daiquiri: 'classic-daiquiri' });
+
+  const third = mergeSlugHistory(second.history, fakeIndex([['daiquiri-no-1', 'Shake.'], ['negroni', 'Stir.']]));
+  assert.deepEqual(third.history.redirects, { daiquiri: 'daiquiri-no-1', 'classic-daiquiri': 'daiquiri-no-1' });
+
+  const unchanged = mergeSlugHistory(third.history, fakeIndex([['daiquiri-no-1', 'Shake.'], ['negroni', 'Stir.']]));
+  assert.equal(unchanged.changed, false);
+
+  const restored = mergeSlugHistory(third.history, fakeIndex([['daiquiri', 'Shake.'], ['negroni', 'Stir.']]));
+  assert.equal(restored.history.redirects.daiquiri, undefined);
+  assert.equal(restored.history.redirects['daiquiri-no-1'], 'daiquiri');
+});
+
+test('resolveRedirect prefers sheet aliases and ignores targets that no longer exist', () => {
+  const idx = {
+    ...fakeIndex([['mai-tai', ''], ['zombie', '']]),
+    _aliasIndex: { 'mai-tai-trader-vic': 'mai-tai', gone: 'missing' },
+    _slugHistory: { 'mai-tai-trader-vic': 'zombie', 'zombie-punch': 'zombie' }
+  };
+  assert.equal(resolveRedirect(idx, 'Mai-Tai-Trader-Vic'), 'mai-tai');
+  assert.equal(resolveRedirect(idx, 'zombie-punch'), 'zombie');
+  assert.equal(resolveRedirect(idx, 'gone'), null);
+  assert.deepEqual(redirectMap(idx), { 'mai-tai-trader-vic': 'mai-tai', 'zombie-punch': 'zombie' });
+});
@@ -0,0 +1,63 @@
+export const RELATED_DEFAULT_LIMIT = 6;
+export const RELATED_MAX_LIMIT = 24;
+
+export const RELATED_FEATURE_WEIGHTS = Object.freeze({
+  ingredient: 2,
+  category: 1.5,
+  tag: 1,
+  mood: 1
+});
+
+const FEATURE_SOURCES = [
+  ['ingredient', '_ingredientIndex', row => row._ingredients_lc],
+  ['category', '_categoryIndex', row => (row._category_lc ? [row._category_lc] : [])],
+  ['tag', '_tagIndex', row => row._tags_lc],
+  ['mood', '_moodIndex', row => row._moods_lc]
+];
+
+function featureValues(row, pick) {
+  const values = row ? pick(row) : null;
+  return Array.isArray(values) ? Array.from(new Set(values.filter(Boolean))) : [];
+}
+
+function featureWeight(row) {
+  let total = 0;
+  for (const [feature, , pick] of FEATURE_SOURCES) {
+    total += RELATED_FEATURE_WEIGHTS[feature] * featureValues(row, pick).length;
+  }
+  return total;
+}
+
+export function findRelatedRows(idx, targetPos, { limit = RELATED_DEFAULT_LIMIT } = {}) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const target = rows[targetPos];
+  if (!target) return [];
+
+  const shared = new Map();
+  for (const [feature, mapKey, pick] of FEATURE_SOURCES) {
+    const map = idx[mapKey];
+    if (!map || typeof map !== 'object') continue;
+    const weight = RELATED_FEATURE_WEIGHTS[feature];
+    for (const value of featureValues(target, pick)) {
+      const list = map[value];
+      if (!Array.isArray(list)) continue;
+      for (const pos of list) {
+        if (pos === targetPos) continue;
+        shared.set(pos, (shared.get(pos) || 0) + weight);
+      }
+    }
+  }
+
+  const targetWeight = featureWeight(target);
+  const scored = [];
+  for (const [pos, overlap] of shared) {
+    const candidate = rows[pos];
+    if (!candidate || candidate.slug === target.slug) continue;
+    const union = targetWeight + featureWeight(candidate) - overlap;
+    if (!(union > 0)) continue;
+    scored.push({ pos, score: overlap / union });
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.pos - b.pos);
+  return scored.slice(0, limit);
+}
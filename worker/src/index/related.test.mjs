@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex, ingredientsJson } from './testFixtures.mjs';
+import { findRelatedRows } from './related.js';
+
+test('findRelatedRows favors recipes sharing ingredients, category and tags', async () => {
+  const { idx } = await buildIndex([
+    ['Daiquiri', '', 'Sours', 'classic,rum', 'bright', '5m', 'Easy', '2024-01-05', ingredientsJson('White Rum', 'Lime Juice', 'Simple Syrup'), '', '', ''],
+    ['Hemingway Daiquiri', '', 'Sours', 'classic,rum', 'bright', '5m', 'Easy', '2024-01-04', ingredientsJson('White Rum', 'Lime Juice', 'Maraschino', 'Grapefruit Juice'), '', '', ''],
+    ['Mojito', '', 'Highballs', 'rum', 'fresh', '5m', 'Easy', '2024-01-03', ingredientsJson('White Rum', 'Lime Juice', 'Mint', 'Soda Water'), '', '', ''],
+    ['Whiskey Sour', '', 'Sours', 'classic', 'bright', '5m', 'Easy', '2024-01-02', ingredientsJson('Bourbon', 'Lemon Juice', 'Simple Syrup'), '', '', ''],
+    ['Espresso Martini', '', 'Dessert', 'coffee', 'rich', '5m', 'Easy', '2024-01-01', ingredientsJson('Vodka', 'Espresso'), '', '', '']
+  ]);
+  const daiquiri = idx._slugIndex['daiquiri'];
+
+  const related = findRelatedRows(idx, daiquiri, { limit: 3 });
+  assert.deepEqual(related.map(r => idx.rows[r.pos].slug), ['hemingway-daiquiri', 'whiskey-sour', 'mojito']);
+  assert.ok(related.every(r => r.score > 0 && r.score <= 1));
+  assert.ok(!findRelatedRows(idx, daiquiri).some(r => idx.rows[r.pos].slug === 'espresso-martini'));
+});
@@ -1,20 +1,34 @@
-import { createListCache, normalizeListQueryParams, buildListCacheKey } from '../cache.js';
+import { createListCache, normalizeListQueryParams, buildListCacheKey, hasListFilters, splitListParam } from '../cache.js';
 import { createIndexBuilder } from './indexBuilder.js';
+import { resolveListSort } from './sorting.js';
+import { resolveProjection, projectRow } from './projection.js';
+import { taxonomyTerms } from './terms.js';
+import { mergeSlugHistory, resolveRedirect, redirectMap } from './redirects.js';
+import { createExportStream, exportFilename, EXPORT_FORMATS } from './export.js';
+import { listFingerprint, decodeCursor, cursorAfter, resolveCursorStart } from './cursor.js';
+import { ingredientsInUnits, UNIT_SYSTEMS } from './measures.js';
+import { isPublishDue } from './publication.js';
+import { matchPantry, PANTRY_MAX_MISSING } from './pantry.js';
+import { computeFacetCounts } from './facets.js';
+import { suggestCompletions, SUGGEST_DEFAULT_LIMIT, SUGGEST_MAX_LIMIT } from './suggest.js';
+import { findRelatedRows, RELATED_DEFAULT_LIMIT, RELATED_MAX_LIMIT } from './related.js';
+import { pickRandom, isValidTimeZone, localDateKey, chooseDailySlug, trimDailyHistory, RANDOM_MAX_COUNT, DAILY_DEFAULT_WINDOW_DAYS } from './picks.js';
+import { CATEGORY_PLACEHOLDER_MAP, normalizeCategoryKey, normalizeMoodKey, resolveCategoryPlaceholder } from './taxonomy.js';
 import { getGoogleAccessToken } from '../google/oauth.js';
 import { scheduleBackground as defaultScheduleBackground } from '../utils.js';
 
-const CATEGORY_PLACEHOLDER_MAP = new Map([
-  ['unknown_other', null],
-  ['unknownother', null]
-]);
+const POSTS_BATCH_MAX = 50;
+const PREVIEW_INDEX_TTL_MS = 30000;
 
 export function createIndexService({ listCache = createListCache(), scheduleBackground = defaultScheduleBackground } = {}) {
   const builder = createIndexBuilder({ fetchSheetValues });
-  const { buildIndexFromSheet, fetchRowFull, filterIndex, serializeRow, hasPrecomputedMaps } = builder;
+  const { buildIndexFromSheet, fetchRowFull, filterIndex, orderIndexes, suggestQuery, serializeRow, hasPrecomputedMaps } = builder;
 
   let memoryIndex = null;
   let memoryIndexExpiry = 0;
   let memoryIndexPromise = null;
+  let previewIndex = null;
+  let previewIndexExpiry = 0;
 
   async function fetchSheetValues(env, rangeA1) {
     const base = `https://sheets.googleapis.com/v4/spreadsheets/${env.SHEET_ID}/values/`;
@@ -44,13 +58,13 @@ export function createIndexService({ listCache = createListCache(), scheduleBack
     const forceRebuild = opts.forceRebuild === true;
     const now = Date.now();
 
-    if (!forceRebuild && memoryIndex && memoryIndexExpiry && now < memoryIndexExpiry && hasPrecomputedMaps(memoryIndex)) {
+    if (!forceRebuild && memoryIndex && memoryIndexExpiry && now < memoryIndexExpiry && hasPrecomputedMaps(memoryIndex) && !isPublishDue(memoryIndex, now)) {
       return memoryIndex;
     }
 
     if (!forceRebuild) {
       const cached = await env.MIXOLOGY.get('idx_v1', { type: 'json' });
-      if (cached && cached.rows && cached.etag && cached._headerMap && hasPrecomputedMaps(cached)) {
+      if (cached && cached.rows && cached.etag && cached._columns && hasPrecomputedMaps(cached) && !isPublishDue(cached, now)) {
         memoryIndex = cached;
         memoryIndexExpiry = Date.now() + ttlMs;
         return cached;
@@ -59,7 +73,12 @@ export function createIndexService({ listCache = createListCache(), scheduleBack
 
     if (!memoryIndexPromise) {
       const rebuildPromise = (async () => {
+        const previous = memoryIndex;
         const built = await buildIndexFromSheet(env);
+        built._modifiedAt = (previous && previous.etag === built.etag && previous._modifiedAt) || new Date().toISOString();
+        if (isEnabled(env.SLUG_HISTORY_ENABLED)) {
+          built._slugHistory = await updateSlugHistory(env, ctx, built);
+        }
         memoryIndex = built;
         memoryIndexExpiry = Date.now() + ttlMs;
         const writeArgs = ['idx_v1', JSON.stringify(built)];
@@ -86,61 +105,98 @@ export function createIndexService({ listCache = createListCache(), scheduleBack
     return memoryIndexPromise;
   }
 
-  async function handleList(qp, env, ctx) {
+  async function getPreviewIndex(env) {
+    const now = Date.now();
+    if (previewIndex && now < previewIndexExpiry) return previewIndex;
+    previewIndex = await buildIndexFromSheet(env, { includeUnpublished: true });
+    previewIndexExpiry = now + PREVIEW_INDEX_TTL_MS;
+    return previewIndex;
+  }
+
+  async function updateSlugHistory(env, ctx, idx) {
+    let stored = null;
+    try {
+      stored = await env.MIXOLOGY.get('slug_history_v1', { type: 'json' });
+    } catch (err) {
+      console.warn('[Mixology] slug history read failed', err);
+    }
+    const { history, changed } = mergeSlugHistory(stored, idx);
+    if (changed) {
+      const write = env.MIXOLOGY.put('slug_history_v1', JSON.stringify(history));
+      scheduleBackground(ctx, write, 'slug_history_write');
+    }
+    return history.redirects;
+  }
+
+  async function handleList(qp, env, ctx, { preview = false } = {}) {
     const pageDefault = Number(env.PAGE_DEFAULT || 12);
     const pageMax = Number(env.PAGE_MAX || 48);
-    const page = clamp(qp.page || 1, 1, 100000);
-    const size = clamp(qp.page_size || pageDefault, 1, pageMax);
-    const q = (qp.q || '').trim();
-    const tag = (qp.tag || '').trim();
-    const cat = (qp.category || '').trim();
-    const mood = (qp.mood || '').trim();
-    const ifE = (qp.if_etag || '').trim();
+    const page = clamp(scalarParam(qp.page) || 1, 1, 100000);
+    const size = clamp(scalarParam(qp.page_size) || pageDefault, 1, pageMax);
+    const q = scalarParam(qp.q).trim();
+    const ifE = opaqueEtag(scalarParam(qp.if_etag));
+    const cursorRaw = scalarParam(qp.cursor).trim();
+    const projection = resolveProjection(scalarParam(qp.view), qp.fields);
+
+    const normalized = listFilterParams(qp);
+    const sort = resolveListSort(scalarParam(qp.sort), Boolean(normalized.q));
+    const fingerprint = listFingerprint(normalized, sort);
+    const cursor = cursorRaw ? decodeCursor(cursorRaw) : null;
+    if (cursorRaw && (!cursor || cursor.fingerprint !== fingerprint || cursor.sort !== sort)) {
+      return { ok: false, code: 400, error: 'invalid_cursor' };
+    }
 
-    const idx = await getIndex(env, ctx);
+    const idx = preview ? await getPreviewIndex(env) : await getIndex(env, ctx);
+
+    const filtersCleared = !hasListFilters(normalized);
+
+    const defaultView = filtersCleared && sort === '-date' && !cursor;
 
     const listCacheTtlSeconds = listCache.getTtlSeconds(env);
     const listCacheTtlMs = listCacheTtlSeconds * 1000;
 
-    const normalized = normalizeListQueryParams(q, tag, cat, mood);
-    const filtersCleared = !normalized.q && !normalized.tag && !normalized.category && !normalized.mood;
+    const cacheParams = { ...normalized, sort, page, size, fields: projection, cursor: cursor ? cursorRaw : '' };
+    const cacheKey = buildListCacheKey(idx.etag, cacheParams);
 
-    listCache.syncIndexState(idx.etag, filtersCleared);
+    if (!preview) {
+      listCache.syncIndexState(idx.etag, filtersCleared);
 
-    const cacheParams = { ...normalized, page, size };
-    const cacheKey = buildListCacheKey(idx.etag, cacheParams);
+      const serveCached = (payload) => {
+        if (!payload) return null;
+        if (page === 1 && defaultView && ifE && ifE === idx.etag) {
+          return { ok: true, etag: idx.etag, not_modified: true, total: payload.total, page: 1, page_size: size };
+        }
+        return payload;
+      };
 
-    const serveCached = (payload) => {
-      if (!payload) return null;
-      if (page === 1 && filtersCleared && ifE && ifE === idx.etag) {
-        return { ok: true, etag: idx.etag, not_modified: true, total: payload.total, page: 1, page_size: size };
+      const memoryCached = listCache.get(cacheKey, listCacheTtlMs);
+      if (memoryCached) {
+        const cachedResponse = serveCached(memoryCached);
+        if (cachedResponse) return cachedResponse;
       }
-      return payload;
-    };
-
-    const memoryCached = listCache.get(cacheKey, listCacheTtlMs);
-    if (memoryCached) {
-      const cachedResponse = serveCached(memoryCached);
-      if (cachedResponse) return cachedResponse;
-    }
 
-    if (ifE && ifE === idx.etag && page === 1 && filtersCleared) {
-      return { ok: true, etag: idx.etag, not_modified: true, total: idx.rows.length, page: 1, page_size: size };
-    }
+      if (ifE && ifE === idx.etag && page === 1 && defaultView) {
+        return { ok: true, etag: idx.etag, not_modified: true, total: idx.rows.length, page: 1, page_size: size };
+      }
 
-    const kvCached = await env.MIXOLOGY.get(cacheKey, { type: 'json' });
-    if (kvCached && kvCached.etag === idx.etag) {
-      listCache.set(cacheKey, kvCached, listCacheTtlMs);
-      const cachedResponse = serveCached(kvCached);
-      if (cachedResponse) return cachedResponse;
+      const kvCached = await env.MIXOLOGY.get(cacheKey, { type: 'json' });
+      if (kvCached && kvCached.etag === idx.etag) {
+        listCache.set(cacheKey, kvCached, listCacheTtlMs);
+        const cachedResponse = serveCached(kvCached);
+        if (cachedResponse) return cachedResponse;
+      }
     }
 
-    const filteredIndexes = filterIndex(idx, q, tag, cat, mood);
+    const matchedIndexes = filterIndex(idx, q, normalized);
+    const filteredIndexes = orderIndexes(idx, matchedIndexes, sort, q);
     const total = filteredIndexes.length;
-    const start = (page - 1) * size;
+    const start = cursor ? resolveCursorStart(idx, filteredIndexes, cursor) : (page - 1) * size;
     const end = Math.min(start + size, total);
     const sliceIndexes = (start < total) ? filteredIndexes.slice(start, end) : [];
-    const posts = sliceIndexes.map(i => serializeRow(idx.rows[i]));
+    const posts = sliceIndexes.map(i => projectRow(idx.rows[i], projection));
+    const nextCursor = (end < total && sliceIndexes.length)
+      ? cursorAfter(idx.rows[sliceIndexes[sliceIndexes.length - 1]], { fingerprint, sort, offset: end })
+      : null;
 
     const categories = [];
     const seenCategories = new Set();
@@ -187,15 +243,25 @@ export function createIndexService({ listCache = createListCache(), scheduleBack
       }
     }
 
+    const facets = computeFacetCounts(idx, filteredIndexes, { mapValue: facetValueKey });
+    const suggestion = (!total && normalized.q) ? suggestQuery(idx, q) : null;
+
     const result = {
       ok: true,
       etag: idx.etag,
-      total, page, page_size: size,
+      total,
+      page: cursor ? Math.floor(start / size) + 1 : page,
+      page_size: size,
+      sort,
       has_more: end < total,
+      next_cursor: nextCursor,
       posts,
       categories,
-      moods
+      moods,
+      facets
     };
+    if (suggestion) result.suggestion = suggestion;
+    if (preview) return { ...result, preview: true };
 
     listCache.set(cacheKey, result, listCacheTtlMs);
 
@@ -206,95 +272,342 @@ export function createIndexService({ listCache = createListCache(), scheduleBack
     return result;
   }
 
-  async function handlePost(slug, env, ctx) {
-    let idx = await getIndex(env, ctx);
-    const hasHeader = idx._headerMap && Object.keys(idx._headerMap).length;
-    const hasSlugIndex = idx._slugIndex && typeof idx._slugIndex === 'object';
-    if (!hasHeader || !hasSlugIndex) {
-      idx = await getIndex(env, ctx, { forceRebuild: true });
+  async function handlePantry(qp, env, ctx) {
+    const have = splitListParam(qp.ingredients ?? qp.ingredient);
+    if (!have.length) {
+      return { ok: false, code: 400, error: 'missing_ingredients' };
     }
 
-    const slugKey = String(slug || '').toLowerCase();
-    const rowIndex = idx._slugIndex && typeof idx._slugIndex === 'object' ? idx._slugIndex[slugKey] : undefined;
-    if (!Number.isInteger(rowIndex)) {
+    const pageDefault = Number(env.PAGE_DEFAULT || 12);
+    const pageMax = Number(env.PAGE_MAX || 48);
+    const page = clamp(scalarParam(qp.page) || 1, 1, 100000);
+    const size = clamp(scalarParam(qp.page_size) || pageDefault, 1, pageMax);
+    const maxMissingRaw = scalarParam(qp.max_missing);
+    const maxMissing = clamp(maxMissingRaw === '' ? 2 : maxMissingRaw, 0, PANTRY_MAX_MISSING);
+
+    const idx = await getIndex(env, ctx);
+    const matches = matchPantry(idx, have, { maxMissing });
+
+    const total = matches.length;
+    const start = (page - 1) * size;
+    const end = Math.min(start + size, total);
+    const slice = (start < total) ? matches.slice(start, end) : [];
+    const posts = slice.map(match => ({
+      ...serializeRow(idx.rows[match.pos]),
+      missing: match.missing,
+      missing_count: match.missing.length,
+      ingredient_count: match.ingredientCount
+    }));
+
+    return {
+      ok: true,
+      etag: idx.etag,
+      total, page, page_size: size,
+      max_missing: maxMissing,
+      has_more: end < total,
+      posts
+    };
+  }
+
+  async function handleSuggest(qp, env, ctx) {
+    const q = scalarParam(qp.q).trim();
+    const limit = clamp(scalarParam(qp.limit) || SUGGEST_DEFAULT_LIMIT, 1, SUGGEST_MAX_LIMIT);
+    const idx = await getIndex(env, ctx);
+    const suggestions = q ? suggestCompletions(idx, q, { limit }) : [];
+    return { ok: true, etag: idx.etag, q, suggestions };
+  }
+
+  async function handleRelated(slug, qp, env, ctx) {
+    const idx = await getIndex(env, ctx);
+    const rowIndex = slugPosition(idx, slug);
+    if (rowIndex < 0) {
       return { ok: false, code: 404, error: 'not_found' };
     }
 
     const rec = idx.rows[rowIndex];
-    if (!rec || String(rec.slug || '').toLowerCase() !== slugKey) {
-      return { ok: false, code: 404, error: 'not_found' };
+    const limit = clamp(scalarParam(qp.limit) || RELATED_DEFAULT_LIMIT, 1, RELATED_MAX_LIMIT);
+    const cacheKey = `related_v1:${idx.etag}:${rec.slug}:${limit}`;
+    const cached = await env.MIXOLOGY.get(cacheKey, { type: 'json' });
+    if (cached && Array.isArray(cached.posts) && cached.etag === idx.etag) {
+      return cached;
+    }
+
+    const related = findRelatedRows(idx, rowIndex, { limit });
+    const result = {
+      ok: true,
+      etag: idx.etag,
+      slug: rec.slug,
+      posts: related.map(entry => serializeRow(idx.rows[entry.pos]))
+    };
+
+    const ttl = Number(env.CACHE_TTL_SECONDS || 300);
+    const expirationTtl = Math.max(60, ttl + 30);
+    const putRelated = env.MIXOLOGY.put(cacheKey, JSON.stringify(result), { expirationTtl });
+    scheduleBackground(ctx, putRelated, 'related_cache_write');
+
+    return result;
+  }
+
+  async function handleRandom(qp, env, ctx) {
+    const q = scalarParam(qp.q).trim();
+    const count = clamp(scalarParam(qp.count) || 1, 1, RANDOM_MAX_COUNT);
+    const idx = await getIndex(env, ctx);
+    const matched = filterIndex(idx, q, listFilterParams(qp));
+    const picks = pickRandom(matched, count);
+    return {
+      ok: true,
+      etag: idx.etag,
+      total: matched.length,
+      posts: picks.map(i => serializeRow(idx.rows[i]))
+    };
+  }
+
+  async function handleDaily(qp, env, ctx) {
+    const timezone = scalarParam(qp.tz).trim() || String(env.DAILY_TIMEZONE || 'UTC');
+    if (!isValidTimeZone(timezone)) {
+      return { ok: false, code: 400, error: 'invalid_timezone' };
+    }
+
+    const idx = await getIndex(env, ctx);
+    const date = localDateKey(new Date(), timezone);
+    const windowRaw = Number(env.DAILY_NO_REPEAT_DAYS);
+    const windowDays = clamp(Number.isFinite(windowRaw) ? windowRaw : DAILY_DEFAULT_WINDOW_DAYS, 0, 365);
+
+    const historyKey = 'daily_v1:history';
+    const stored = await env.MIXOLOGY.get(historyKey, { type: 'json' });
+    const history = (stored && typeof stored === 'object' && !Array.isArray(stored)) ? stored : {};
+
+    let slug = history[date];
+    let rowIndex = slug ? slugPosition(idx, slug) : -1;
+    if (rowIndex < 0) {
+      slug = chooseDailySlug(idx, date, history, windowDays);
+      rowIndex = slug ? slugPosition(idx, slug) : -1;
+      if (rowIndex < 0) {
+        return { ok: false, code: 404, error: 'not_found' };
+      }
+
+      const next = trimDailyHistory({ ...history, [date]: idx.rows[rowIndex].slug }, date, windowDays);
+      const expirationTtl = (Math.max(windowDays, 1) + 2) * 86400;
+      const putHistory = env.MIXOLOGY.put(historyKey, JSON.stringify(next), { expirationTtl });
+      scheduleBackground(ctx, putHistory, 'daily_history_write');
+    }
+
+    return {
+      ok: true,
+      etag: idx.etag,
+      date,
+      timezone,
+      post: serializeRow(idx.rows[rowIndex])
+    };
+  }
+
+  async function handleTaxonomy(facet, env, ctx) {
+    const idx = await getIndex(env, ctx);
+    return { ok: true, etag: idx.etag, facet, terms: taxonomyTerms(idx, facet) };
+  }
+
+  async function handleRedirects(env, ctx) {
+    const idx = await getIndex(env, ctx);
+    return { ok: true, etag: idx.etag, redirects: redirectMap(idx) };
+  }
+
+  async function handleValidation(env, ctx) {
+    const idx = await getIndex(env, ctx);
+    return { ok: true, etag: idx.etag, ...(idx._validation || { issues: [] }) };
+  }
+
+  async function handleExport(qp, env, ctx) {
+    const format = scalarParam(qp.format).trim().toLowerCase() || 'json';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return { ok: false, code: 400, error: 'invalid_format' };
+    }
+
+    const idx = await getIndex(env, ctx);
+    return {
+      ok: true,
+      etag: idx.etag,
+      format,
+      contentType: EXPORT_FORMATS[format].contentType,
+      filename: exportFilename(idx.etag, format),
+      body: createExportStream(idx, format)
+    };
+  }
+
+  async function loadPostIndex(env, ctx) {
+    const idx = await getIndex(env, ctx);
+    const hasColumns = idx._columns && idx._columns.fields && Object.keys(idx._columns.fields).length;
+    const hasSlugIndex = idx._slugIndex && typeof idx._slugIndex === 'object';
+    if (!hasColumns || !hasSlugIndex) {
+      return getIndex(env, ctx, { forceRebuild: true });
+    }
+    return idx;
+  }
+
+  async function loadPost(idx, rowIndex, env, ctx, { cache = true } = {}) {
+    const rec = idx.rows[rowIndex];
+    if (!cache) {
+      if (rec._details && typeof rec._details === 'object') return { ...rec._details };
+      const fetched = await fetchRowFull(env, rec._row, { columns: idx._columns, ctx, getIndex });
+      return fetched ? { ...fetched, slug: rec.slug } : null;
     }
 
     const cacheKey = `post_v1:${idx.etag}:${rec.slug}`;
     const cached = await env.MIXOLOGY.get(cacheKey, { type: 'json' });
     if (cached && cached.post && cached.etag === idx.etag) {
-      return { ok: true, post: cached.post };
+      return cached.post;
     }
 
+    const ttl = Number(env.CACHE_TTL_SECONDS || 300);
+    const expirationTtl = Math.max(60, ttl + 30);
+
     if (rec._details && typeof rec._details === 'object') {
       const post = { ...rec._details };
-      const ttl = Number(env.CACHE_TTL_SECONDS || 300);
-      const expirationTtl = Math.max(60, ttl + 30);
       const putPost = env.MIXOLOGY.put(cacheKey, JSON.stringify({ etag: idx.etag, post }), {
         expirationTtl
       });
       scheduleBackground(ctx, putPost, 'post_cache_write');
-      return { ok: true, post };
+      return post;
     }
 
-    let headerMap = idx._headerMap;
-    if (!headerMap || !Object.keys(headerMap).length) {
-      const head = await fetchSheetValues(env, `${env.SHEET_NAME}!A1:L1`);
-      const header = (head.values && head.values[0]) || [];
-      headerMap = Object.fromEntries(header.map((h, i) => [canon(h), i]));
-    }
-
-    const post = await fetchRowFull(env, rec._row, { headerMap, ctx, getIndex });
-    if (!post) return { ok: false, code: 404, error: 'not_found' };
+    const fetched = await fetchRowFull(env, rec._row, { columns: idx._columns, ctx, getIndex });
+    if (!fetched) return null;
+    const post = { ...fetched, slug: rec.slug };
 
     rec._details = post;
 
-    const ttl = Number(env.CACHE_TTL_SECONDS || 300);
-    const expirationTtl = Math.max(60, ttl + 30);
     const putPost = env.MIXOLOGY.put(cacheKey, JSON.stringify({ etag: idx.etag, post }), {
       expirationTtl
     });
     scheduleBackground(ctx, putPost, 'post_cache_write');
 
-    return { ok: true, post };
+    return post;
+  }
+
+  async function handlePost(slug, qp, env, ctx, { preview = false } = {}) {
+    const units = scalarParam(qp && qp.units).trim().toLowerCase();
+    if (units && !UNIT_SYSTEMS.includes(units)) {
+      return { ok: false, code: 400, error: 'invalid_units' };
+    }
+
+    const idx = preview ? await getPreviewIndex(env) : await loadPostIndex(env, ctx);
+    const rowIndex = slugPosition(idx, slug);
+    if (rowIndex < 0) {
+      const canonical = resolveRedirect(idx, slug);
+      if (canonical) {
+        return { ok: false, code: 301, error: 'moved_permanently', slug: canonical };
+      }
+      return { ok: false, code: 404, error: 'not_found' };
+    }
+
+    const post = await loadPost(idx, rowIndex, env, ctx, { cache: !preview });
+    if (!post) return { ok: false, code: 404, error: 'not_found' };
+    const localized = { ...post, ingredients: ingredientsInUnits(post.ingredients, units) };
+    const result = units ? { ok: true, units, post: localized } : { ok: true, post: localized };
+    return preview ? { ...result, preview: true } : result;
+  }
+
+  async function handlePosts(qp, env, ctx) {
+    const slugs = [];
+    for (const part of [].concat(qp.slugs ?? qp.slug ?? []).flatMap(value => String(value ?? '').split(','))) {
+      const slug = part.trim().toLowerCase();
+      if (slug && !slugs.includes(slug)) slugs.push(slug);
+    }
+    if (!slugs.length) {
+      return { ok: false, code: 400, error: 'missing_slugs' };
+    }
+    const maxSlugs = clamp(env.POSTS_BATCH_MAX || POSTS_BATCH_MAX, 1, 200);
+    if (slugs.length > maxSlugs) {
+      return { ok: false, code: 400, error: 'too_many_slugs', max: maxSlugs };
+    }
+
+    const idx = await loadPostIndex(env, ctx);
+    const redirects = {};
+    const resolved = [];
+    for (const slug of slugs) {
+      let rowIndex = slugPosition(idx, slug);
+      if (rowIndex < 0) {
+        const canonical = resolveRedirect(idx, slug);
+        if (canonical) {
+          redirects[slug] = canonical;
+          rowIndex = slugPosition(idx, canonical);
+        }
+      }
+      if (rowIndex < 0 || !resolved.some(entry => entry.rowIndex === rowIndex)) {
+        resolved.push({ slug, rowIndex });
+      }
+    }
+
+    const loaded = await Promise.all(resolved.map(({ rowIndex }) => (
+      rowIndex < 0 ? null : loadPost(idx, rowIndex, env, ctx)
+    )));
+
+    const posts = [];
+    const missing = [];
+    loaded.forEach((post, i) => {
+      if (post) posts.push(post);
+      else missing.push(resolved[i].slug);
+    });
+
+    return { ok: true, etag: idx.etag, posts, missing, redirects };
   }
 
   return {
     getIndex,
     handleList,
+    handlePantry,
+    handleSuggest,
+    handleRelated,
+    handleRandom,
+    handleDaily,
     handlePost,
+    handlePosts,
+    handleExport,
+    handleTaxonomy,
+    handleRedirects,
+    handleValidation,
     serializeRow
   };
 }
 
-function clamp(n, lo, hi) {
-  n = Number(n);
-  if (isNaN(n)) n = lo;
-  return Math.max(lo, Math.min(hi, Math.floor(n)));
+function listFilterParams(qp) {
+  return normalizeListQueryParams(scalarParam(qp.q).trim(), qp.tag, qp.category, qp.mood, {
+    exclude_tag: qp.exclude_tag,
+    exclude_category: qp.exclude_category,
+    exclude_mood: qp.exclude_mood,
+    ingredient: qp.ingredient,
+    strength: qp.strength
+  });
+}
+
+function slugPosition(idx, slug) {
+  const slugKey = String(slug || '').toLowerCase();
+  const rowIndex = idx && idx._slugIndex && typeof idx._slugIndex === 'object' ? idx._slugIndex[slugKey] : undefined;
+  if (!Number.isInteger(rowIndex)) return -1;
+  const rec = idx.rows[rowIndex];
+  if (!rec || String(rec.slug || '').toLowerCase() !== slugKey) return -1;
+  return rowIndex;
+}
+
+function isEnabled(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+function scalarParam(value) {
+  if (Array.isArray(value)) value = value[value.length - 1];
+  return value === undefined || value === null ? '' : String(value);
 }
 
-function canon(s) {
-  return String(s || '').replace(/\uFEFF/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+function opaqueEtag(value) {
+  return String(value || '').trim().replace(/^W\//i, '').replace(/^"(.*)"$/, '$1');
 }
 
-function normalizeCategoryKey(value) {
-  const normalized = String(value || '').trim().toLowerCase();
-  if (!normalized) return '';
-  return normalized
-    .replace(/^(cat|glass|style|strength|flavor|energy|occ)_/, '')
-    .replace(/[\s/-]+/g, '_')
-    .replace(/[^a-z0-9_]/g, '');
+function clamp(n, lo, hi) {
+  n = Number(n);
+  if (isNaN(n)) n = lo;
+  return Math.max(lo, Math.min(hi, Math.floor(n)));
 }
 
-function normalizeMoodKey(value) {
-  const normalized = String(value || '').trim().toLowerCase();
-  if (!normalized) return '';
-  return normalized
-    .replace(/[\s/-]+/g, '_')
-    .replace(/[^a-z0-9_]/g, '');
+function facetValueKey(facet, value) {
+  const resolved = resolveCategoryPlaceholder(value);
+  return resolved ? resolved.toLowerCase() : null;
 }
@@ -125,3 +125,453 @@ test('handleList omits placeholder categories from responses', async (t) => {
   assert.ok(!response.categories.includes('unknown_other'));
   assert.deepEqual(response.moods, ['happy', 'bright']);
 });
+
+test('handleList accepts the weak ETag header value as if_etag', async (t) => {
+  const originalFetch = global.fetch;
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({ values: [['Name', 'Date', 'Ingredients_JSON'], ['Daiquiri', '2024-01-02', '[]']] })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const { handleList } = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  const { etag } = await handleList({}, env, {});
+  for (const ifEtag of [etag, `"${etag}"`, `W/"${etag}"`]) {
+    const response = await handleList({ if_etag: ifEtag }, env, {});
+    assert.equal(response.not_modified, true, ifEtag);
+    assert.equal(response.etag, etag);
+  }
+  assert.equal((await handleList({ if_etag: 'W/"stale"' }, env, {})).not_modified, undefined);
+});
+
+test('handleList ORs values within a facet, ANDs across facets and applies exclusions', async (t) => {
+  const originalFetch = global.fetch;
+  const sheetResponse = {
+    values: [
+      ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'],
+      ['Whiskey Sour', '', 'Sour', 'classic', 'citrusy', '5m', 'Easy', '2024-01-05', '[]', '', '', ''],
+      ['French 75', '', 'Sour', 'sparkling', 'bubbly', '5m', 'Easy', '2024-01-04', '[]', '', '', ''],
+      ['Pisco Sour', '', 'Sour', 'creamy', 'citrusy', '5m', 'Easy', '2024-01-03', '[]', '', '', ''],
+      ['Mimosa', '', 'Brunch', 'sparkling', 'bubbly', '5m', 'Easy', '2024-01-02', '[]', '', '', ''],
+      ['Old Fashioned', '', 'Sour', 'classic', 'boozy', '5m', 'Easy', '2024-01-01', '[]', '', '', '']
+    ]
+  };
+
+  global.fetch = async () => ({ ok: true, json: async () => sheetResponse });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+
+  const { handleList } = createIndexService({
+    scheduleBackground: (_ctx, promise) => promise
+  });
+
+  const combined = await handleList({ mood: 'citrusy,bubbly', category: 'sour' }, env, {});
+  assert.deepEqual(combined.posts.map(p => p.slug), ['whiskey-sour', 'french-75', 'pisco-sour']);
+
+  const repeated = await handleList({ mood: ['citrusy', 'bubbly'], category: 'Sour', exclude_tag: 'creamy' }, env, {});
+  assert.deepEqual(repeated.posts.map(p => p.slug), ['whiskey-sour', 'french-75']);
+
+  const excludedOnly = await handleList({ exclude_category: 'sour' }, env, {});
+  assert.deepEqual(excludedOnly.posts.map(p => p.slug), ['mimosa']);
+
+  assert.deepEqual(combined.facets.mood, { bubbly: 1, citrusy: 2 });
+  assert.deepEqual(combined.facets.tag, { classic: 1, creamy: 1, sparkling: 1 });
+});
+
+test('handleList cursors continue without skips or duplicates after a rebuild', async (t) => {
+  const originalFetch = global.fetch;
+  const header = ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'];
+  const recipe = (name, date) => [name, '', 'Sour', '', '', '5m', 'Easy', date, '[]', '', '', ''];
+  let values = [header, recipe('Daiquiri', '2024-01-04'), recipe('Gimlet', '2024-01-03'), recipe('Martini', '2024-01-02'), recipe('Negroni', '2024-01-01')];
+
+  global.fetch = async () => ({ ok: true, json: async () => ({ values }) });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const createEnv = () => {
+    const kvStore = new Map();
+    return {
+      SHEET_ID: 'sheet123',
+      SHEET_NAME: 'Sheet1',
+      GOOGLE_API_KEY: 'apikey',
+      CACHE_TTL_SECONDS: 300,
+      MIXOLOGY: {
+        async get(key) {
+          return kvStore.has(key) ? kvStore.get(key) : null;
+        },
+        async put(key, value) {
+          kvStore.set(key, JSON.parse(value));
+        }
+      }
+    };
+  };
+  const scheduleBackground = (_ctx, promise) => promise;
+
+  const first = await createIndexService({ scheduleBackground }).handleList({ page_size: '2' }, createEnv(), {});
+  assert.deepEqual(first.posts.map(p => p.slug), ['daiquiri', 'gimlet']);
+  assert.ok(first.next_cursor);
+
+  values = [header, recipe('Aviation', '2024-01-05'), ...values.slice(1)];
+  const second = await createIndexService({ scheduleBackground }).handleList({ page_size: '2', cursor: first.next_cursor }, createEnv(), {});
+  assert.notEqual(second.etag, first.etag);
+  assert.deepEqual(second.posts.map(p => p.slug), ['martini', 'negroni']);
+  assert.equal(second.has_more, false);
+  assert.equal(second.next_cursor, null);
+
+  const mismatched = await createIndexService({ scheduleBackground }).handleList({ page_size: '2', sort: 'name', cursor: first.next_cursor }, createEnv(), {});
+  assert.deepEqual(mismatched, { ok: false, code: 400, error: 'invalid_cursor' });
+});
+
+test('handleList cursors keep same-day recipes when the last row seen is deleted', async (t) => {
+  const originalFetch = global.fetch;
+  const header = ['Name', 'Date', 'Ingredients_JSON'];
+  let values = [header, ['Alpha', '2024-01-01', '[]'], ['Bravo', '2024-01-01', '[]'], ['Charlie', '2024-01-01', '[]'], ['Delta', '2024-01-01', '[]']];
+
+  global.fetch = async () => ({ ok: true, json: async () => ({ values }) });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const createEnv = () => {
+    const kvStore = new Map();
+    return {
+      SHEET_ID: 'sheet123',
+      SHEET_NAME: 'Sheet1',
+      GOOGLE_API_KEY: 'apikey',
+      CACHE_TTL_SECONDS: 300,
+      MIXOLOGY: {
+        async get(key) {
+          return kvStore.has(key) ? kvStore.get(key) : null;
+        },
+        async put(key, value) {
+          kvStore.set(key, JSON.parse(value));
+        }
+      }
+    };
+  };
+  const scheduleBackground = (_ctx, promise) => promise;
+
+  const first = await createIndexService({ scheduleBackground }).handleList({ page_size: '2' }, createEnv(), {});
+  assert.deepEqual(first.posts.map(p => p.slug), ['alpha', 'bravo']);
+
+  values = values.filter(row => row[0] !== 'Bravo');
+  const second = await createIndexService({ scheduleBackground }).handleList({ page_size: '2', cursor: first.next_cursor }, createEnv(), {});
+  assert.deepEqual(second.posts.map(p => p.slug), ['charlie', 'delta']);
+  assert.equal(second.has_more, false);
+});
+
+test('handlePosts returns found posts in request order, lists missing slugs and reuses post_v1 entries', async (t) => {
+  const originalFetch = global.fetch;
+  const sheetResponse = {
+    values: [
+      ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'],
+      ['Daiquiri', '', 'Sour', '', '', '5m', 'Easy', '2024-01-02', '[]', 'Shake.', 'Coupe', 'Lime'],
+      ['Negroni', '', 'Stirred', '', '', '5m', 'Easy', '2024-01-01', '[]', 'Stir.', 'Rocks', 'Orange']
+    ]
+  };
+
+  global.fetch = async () => ({ ok: true, json: async () => sheetResponse });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+
+  const { getIndex, handlePosts } = createIndexService({
+    scheduleBackground: (_ctx, promise) => promise
+  });
+
+  const idx = await getIndex(env, {});
+  kvStore.set(`post_v1:${idx.etag}:negroni`, { etag: idx.etag, post: { slug: 'negroni', name: 'Negroni (cached)' } });
+
+  const result = await handlePosts({ slugs: ['negroni,unknown', 'Daiquiri', 'negroni'] }, env, {});
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.posts.map(p => p.name), ['Negroni (cached)', 'Daiquiri']);
+  assert.equal(result.posts[1].instructions, 'Shake.');
+  assert.deepEqual(result.missing, ['unknown']);
+  assert.ok(kvStore.has(`post_v1:${idx.etag}:daiquiri`));
+
+  assert.deepEqual(await handlePosts({}, env, {}), { ok: false, code: 400, error: 'missing_slugs' });
+  const tooMany = await handlePosts({ slugs: 'a,b,c' }, { ...env, POSTS_BATCH_MAX: '2' }, {});
+  assert.equal(tooMany.error, 'too_many_slugs');
+});
+
+test('handlePost redirects renamed recipes through the kept slug history', async (t) => {
+  const originalFetch = global.fetch;
+  const header = ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'];
+  let name = 'Daiquiri';
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({ values: [header, [name, '', 'Sour', '', '', '5m', 'Easy', '2024-01-02', '[]', 'Shake.', 'Coupe', 'Lime']] })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    SLUG_HISTORY_ENABLED: 'true',
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const scheduleBackground = (_ctx, promise) => promise;
+
+  await createIndexService({ scheduleBackground }).getIndex(env, {});
+  assert.ok(kvStore.get('slug_history_v1').seen.daiquiri);
+
+  name = 'Classic Daiquiri';
+  kvStore.delete('idx_v1');
+  const service = createIndexService({ scheduleBackground });
+
+  assert.deepEqual(await service.handlePost('daiquiri', {}, env, {}), {
+    ok: false, code: 301, error: 'moved_permanently', slug: 'classic-daiquiri'
+  });
+  assert.equal((await service.handlePost('classic-daiquiri', {}, env, {})).post.name, 'Classic Daiquiri');
+
+  const batch = await service.handlePosts({ slugs: 'daiquiri,classic-daiquiri' }, env, {});
+  assert.deepEqual(batch.posts.map(p => p.slug), ['classic-daiquiri']);
+  assert.deepEqual(batch.redirects, { daiquiri: 'classic-daiquiri' });
+  assert.deepEqual((await service.handleRedirects(env, {})).redirects, { daiquiri: 'classic-daiquiri' });
+});
+
+test('handlePost converts structured ingredient amounts when units is given', async (t) => {
+  const originalFetch = global.fetch;
+  const ingredients = JSON.stringify([{ name: 'White Rum', measure: '1 1/2 oz' }, { name: 'Angostura', measure: '2 dashes' }]);
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({
+      values: [
+        ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'],
+        ['Daiquiri', '', 'Sour', '', '', '5m', 'Easy', '2024-01-02', ingredients, 'Shake.', 'Coupe', 'Lime']
+      ]
+    })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const { handlePost } = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  const original = await handlePost('daiquiri', {}, env, {});
+  assert.equal(original.units, undefined);
+  assert.deepEqual(original.post.ingredients[0].amount, { quantity: 1.5, unit: 'oz', display: '1 1/2 oz' });
+
+  const metric = await handlePost('daiquiri', { units: 'Metric' }, env, {});
+  assert.equal(metric.units, 'metric');
+  assert.deepEqual(metric.post.ingredients.map(ing => [ing.measure, ing.amount.display]), [
+    ['1 1/2 oz', '45 ml'],
+    ['2 dashes', '2 dashes']
+  ]);
+
+  assert.deepEqual(await handlePost('daiquiri', { units: 'cups' }, env, {}), { ok: false, code: 400, error: 'invalid_units' });
+});
+
+test('handleList filters by estimated strength and handlePost reports it', async (t) => {
+  const originalFetch = global.fetch;
+  const ingredients = (...pairs) => JSON.stringify(pairs.map(([measure, name]) => ({ name, measure })));
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({
+      values: [
+        ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish'],
+        ['Negroni', '', 'Stirred', '', '', '5m', 'Easy', '2024-01-03', ingredients(['1 oz', 'Gin'], ['1 oz', 'Campari'], ['1 oz', 'Sweet Vermouth']), 'Stir with ice.', '', ''],
+        ['Daiquiri', '', 'Sour', '', '', '5m', 'Easy', '2024-01-02', ingredients(['2 oz', 'White Rum'], ['1 oz', 'Lime Juice'], ['3/4 oz', 'Simple Syrup']), 'Shake hard.', '', ''],
+        ['Aperol Spritz', '', 'Spritz', '', '', '5m', 'Easy', '2024-01-01', ingredients(['3 oz', 'Prosecco'], ['2 oz', 'Aperol'], ['1 oz', 'Soda Water']), 'Build over ice.', '', '']
+      ]
+    })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const { handleList, handlePost } = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  assert.deepEqual((await handleList({ strength: 'strong' }, env, {})).posts.map(p => p.slug), ['negroni']);
+  assert.deepEqual((await handleList({ strength: 'light,Medium' }, env, {})).posts.map(p => p.slug), ['daiquiri', 'aperol-spritz']);
+
+  const { post } = await handlePost('daiquiri', {}, env, {});
+  assert.deepEqual(post.strength, { abv: 16.7, alcohol_grams: 18.7, standard_drinks: 1.3, method: 'shaken', level: 'medium' });
+  assert.equal(post.alcohol_content, '16.7% ABV');
+});
+
+test('previews show drafts without writing the list or post caches anonymous requests use', async (t) => {
+  const originalFetch = global.fetch;
+  const header = ['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish', 'Status'];
+  global.fetch = async () => ({
+    ok: true,
+    json: async () => ({
+      values: [
+        header,
+        ['Daiquiri', '', 'Sour', '', '', '5m', 'Easy', '2024-01-02', '[]', 'Shake.', 'Coupe', 'Lime', ''],
+        ['Gimlet', '', 'Sour', '', '', '5m', 'Easy', '2024-01-03', '[]', 'Shake.', 'Coupe', 'Lime', 'draft']
+      ]
+    })
+  });
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const { handleList, handlePost } = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  const preview = await handleList({}, env, {}, { preview: true });
+  assert.equal(preview.preview, true);
+  assert.deepEqual(preview.posts.map(p => p.slug), ['gimlet', 'daiquiri']);
+  const draft = await handlePost('gimlet', {}, env, {}, { preview: true });
+  assert.equal(draft.post.status, 'draft');
+  assert.deepEqual([...kvStore.keys()].filter(key => /^(idx|list|post)_v1/.test(key)), []);
+
+  assert.deepEqual((await handleList({}, env, {})).posts.map(p => p.slug), ['daiquiri']);
+  assert.deepEqual(await handlePost('gimlet', {}, env, {}), { ok: false, code: 404, error: 'not_found' });
+});
+
+test('getIndex rebuilds once a scheduled recipe is due', async (t) => {
+  const originalFetch = global.fetch;
+  let fetches = 0;
+  global.fetch = async () => {
+    fetches += 1;
+    return {
+      ok: true,
+      json: async () => ({
+        values: [
+          ['Name', 'Date', 'Ingredients_JSON'],
+          ['Daiquiri', '2024-01-02', '[]']
+        ]
+      })
+    };
+  };
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const kvStore = new Map();
+  const env = {
+    SHEET_ID: 'sheet123',
+    SHEET_NAME: 'Sheet1',
+    GOOGLE_API_KEY: 'apikey',
+    CACHE_TTL_SECONDS: 300,
+    MIXOLOGY: {
+      async get(key) {
+        return kvStore.has(key) ? kvStore.get(key) : null;
+      },
+      async put(key, value) {
+        kvStore.set(key, JSON.parse(value));
+      }
+    }
+  };
+  const service = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+
+  const built = await service.getIndex(env, {});
+  assert.equal(fetches, 1);
+  assert.equal(built._nextPublishAt, null);
+
+  kvStore.set('idx_v1', { ...kvStore.get('idx_v1'), _nextPublishAt: '2020-01-01T00:00:00.000Z' });
+  const fresh = createIndexService({ scheduleBackground: (_ctx, promise) => promise });
+  await fresh.getIndex(env, {});
+  assert.equal(fetches, 2);
+  assert.equal(kvStore.get('idx_v1')._nextPublishAt, null);
+});
@@ -0,0 +1,114 @@
+export const SORT_FIELDS = Object.freeze(['date', 'name', 'prep_time', 'difficulty', 'relevance']);
+
+const DEFAULT_SORT = '-date';
+const RELEVANCE_SORT = 'relevance';
+
+const DIFFICULTY_RANKS = new Map([
+  ['easy', 1],
+  ['medium', 2],
+  ['intermediate', 2],
+  ['moderate', 2],
+  ['hard', 3],
+  ['difficult', 3],
+  ['advanced', 3]
+]);
+
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)/gi;
+
+export function parsePrepTimeMinutes(value) {
+  const str = String(value ?? '').trim().toLowerCase();
+  if (!str) return null;
+
+  if (/^\d+(?:\.\d+)?$/.test(str)) {
+    return Number(str);
+  }
+
+  const iso = str.match(/^pt(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (iso && (iso[1] || iso[2] || iso[3])) {
+    return roundMinutes(Number(iso[1] || 0) * 60 + Number(iso[2] || 0) + Number(iso[3] || 0) / 60);
+  }
+
+  let total = 0;
+  let matched = false;
+  let match;
+  DURATION_PATTERN.lastIndex = 0;
+  while ((match = DURATION_PATTERN.exec(str))) {
+    const quantity = parseFloat(match[1]);
+    if (!Number.isFinite(quantity)) continue;
+    const unit = match[2][0];
+    if (unit === 'h') total += quantity * 60;
+    else if (unit === 'm') total += quantity;
+    else if (unit === 's') total += quantity / 60;
+    matched = true;
+  }
+
+  return matched ? roundMinutes(total) : null;
+}
+
+function roundMinutes(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function difficultyRank(value) {
+  const key = String(value ?? '').trim().toLowerCase();
+  if (!key) return null;
+  return DIFFICULTY_RANKS.has(key) ? DIFFICULTY_RANKS.get(key) : null;
+}
+
+export function resolveListSort(raw, hasQuery) {
+  const value = String(raw || '').trim().toLowerCase();
+  const fallback = hasQuery ? RELEVANCE_SORT : DEFAULT_SORT;
+  if (!value) return fallback;
+
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!SORT_FIELDS.includes(field)) return fallback;
+  if (field === RELEVANCE_SORT) return hasQuery ? RELEVANCE_SORT : DEFAULT_SORT;
+  return descending ? `-${field}` : field;
+}
+
+const SORT_KEYS = {
+  date: (row) => (row && row.date ? String(row.date) : null),
+  name: (row) => (row && row.name ? String(row.name) : null),
+  prep_time: (row) => parsePrepTimeMinutes(row && row.prep_time),
+  difficulty: (row) => difficultyRank(row && row.difficulty)
+};
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'en', { sensitivity: 'base', numeric: true });
+}
+
+function isMissing(key) {
+  return key === null || key === undefined || key === '';
+}
+
+export function sortKeyFor(row, sort) {
+  const field = String(sort || '').replace(/^-/, '');
+  const keyFn = SORT_KEYS[field];
+  if (!keyFn) return null;
+  const key = keyFn(row);
+  return isMissing(key) ? null : key;
+}
+
+export function compareSortKeys(a, b, sort) {
+  const aMissing = isMissing(a);
+  const bMissing = isMissing(b);
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+  const cmp = compareValues(a, b);
+  return String(sort || '').startsWith('-') ? -cmp : cmp;
+}
+
+export function sortIndexes(idx, indexes, sort) {
+  const list = Array.isArray(indexes) ? indexes : [];
+  const descending = String(sort || '').startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  const keyFn = SORT_KEYS[field];
+  if (!keyFn) return list.slice();
+  if (field === 'date' && descending) return list.slice().sort((a, b) => a - b);
+
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const keyed = list.map((pos) => ({ pos, key: keyFn(rows[pos]) }));
+  keyed.sort((a, b) => compareSortKeys(a.key, b.key, sort) || a.pos - b.pos);
+  return keyed.map(entry => entry.pos);
+}
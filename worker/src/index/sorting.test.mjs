@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePrepTimeMinutes, difficultyRank, resolveListSort, sortIndexes } from './sorting.js';
+
+test('parsePrepTimeMinutes understands common prep time formats', () => {
+  assert.equal(parsePrepTimeMinutes('5m'), 5);
+  assert.equal(parsePrepTimeMinutes('1 hr 10 min'), 70);
+  assert.equal(parsePrepTimeMinutes('1h30m'), 90);
+  assert.equal(parsePrepTimeMinutes('PT1H5M'), 65);
+  assert.equal(parsePrepTimeMinutes('7'), 7);
+  assert.equal(parsePrepTimeMinutes('90 sec'), 1.5);
+  assert.equal(parsePrepTimeMinutes('quick'), null);
+  assert.equal(parsePrepTimeMinutes(''), null);
+});
+
+test('difficultyRank orders Easy < Medium < Hard', () => {
+  assert.ok(difficultyRank('Easy') < difficultyRank('medium'));
+  assert.ok(difficultyRank('Medium') < difficultyRank('HARD'));
+  assert.equal(difficultyRank('unknown'), null);
+});
+
+test('resolveListSort falls back to relevance only when a query is present', () => {
+  assert.equal(resolveListSort('', false), '-date');
+  assert.equal(resolveListSort('', true), 'relevance');
+  assert.equal(resolveListSort('relevance', false), '-date');
+  assert.equal(resolveListSort(' Name ', true), 'name');
+  assert.equal(resolveListSort('-prep_time', false), '-prep_time');
+  assert.equal(resolveListSort('bogus', false), '-date');
+});
+
+test('sortIndexes puts missing values last and breaks ties by index order', () => {
+  const idx = {
+    rows: [
+      { name: 'Zombie', date: '2024-03-01', prep_time: '10 min', difficulty: 'Hard' },
+      { name: 'Aviation', date: '2024-02-01', prep_time: '', difficulty: 'Easy' },
+      { name: 'mojito', date: '2024-01-01', prep_time: '5m', difficulty: 'Easy' },
+      { name: 'Bramble', date: '', prep_time: '1 hr', difficulty: 'Medium' }
+    ]
+  };
+  const all = [0, 1, 2, 3];
+
+  assert.deepEqual(sortIndexes(idx, all, 'name'), [1, 3, 2, 0]);
+  assert.deepEqual(sortIndexes(idx, all, 'prep_time'), [2, 0, 3, 1]);
+  assert.deepEqual(sortIndexes(idx, all, '-prep_time'), [3, 0, 2, 1]);
+  assert.deepEqual(sortIndexes(idx, all, 'difficulty'), [1, 2, 3, 0]);
+  assert.deepEqual(sortIndexes(idx, all, 'date'), [2, 1, 0, 3]);
+  assert.deepEqual(sortIndexes(idx, [2, 0, 1], '-date'), [0, 1, 2]);
+});
@@ -0,0 +1,187 @@
+import { tokenize } from './tokens.js';
+import { ingredientName } from './ingredients.js';
+import { amountInMilliliters } from './measures.js';
+
+export const STANDARD_DRINK_GRAMS = 14;
+
+const ETHANOL_DENSITY = 0.789;
+
+const STRENGTH_THRESHOLDS = Object.freeze({ medium: 12, strong: 20 });
+
+const DILUTION_BY_METHOD = Object.freeze({
+  blended: 0.4,
+  shaken: 0.28,
+  stirred: 0.22,
+  built: 0.1
+});
+
+const METHOD_PATTERNS = [
+  ['blended', /\bblend/i],
+  ['shaken', /\bshak/i],
+  ['stirred', /\bstir/i]
+];
+
+const INGREDIENT_ABV = Object.freeze({
+  'grain alcohol': 95,
+  everclear: 95,
+  'overproof rum': 63,
+  absinthe: 60,
+  'navy rum': 57,
+  chartreuse: 55,
+  'yellow chartreuse': 40,
+  angostura: 44.7,
+  pastis: 45,
+  galliano: 42,
+  mezcal: 42,
+  pisco: 42,
+  rum: 40,
+  rhum: 40,
+  cachaca: 40,
+  gin: 40,
+  vodka: 40,
+  tequila: 40,
+  whiskey: 40,
+  whisky: 40,
+  bourbon: 40,
+  rye: 40,
+  scotch: 40,
+  brandy: 40,
+  cognac: 40,
+  armagnac: 40,
+  calvados: 40,
+  applejack: 40,
+  grappa: 40,
+  aquavit: 40,
+  akvavit: 40,
+  ouzo: 40,
+  sambuca: 40,
+  cointreau: 40,
+  'grand marnier': 40,
+  benedictine: 40,
+  drambuie: 40,
+  bitters: 40,
+  fernet: 39,
+  genever: 38,
+  peychaud: 35,
+  maraschino: 32,
+  'triple sec': 30,
+  curacao: 30,
+  amaro: 28,
+  limoncello: 28,
+  'sloe gin': 26,
+  liqueur: 25,
+  'creme de cacao': 25,
+  'creme de menthe': 25,
+  campari: 24,
+  amaretto: 24,
+  'coffee liqueur': 20,
+  kahlua: 20,
+  'elderflower liqueur': 20,
+  'st germain': 20,
+  midori: 20,
+  schnapps: 20,
+  suze: 20,
+  port: 20,
+  madeira: 18,
+  'irish cream': 17,
+  baileys: 17,
+  lillet: 17,
+  sherry: 17,
+  soju: 17,
+  cynar: 16.5,
+  chambord: 16.5,
+  'cocchi americano': 16.5,
+  vermouth: 16,
+  'creme de cassis': 16,
+  'creme de violette': 16,
+  'creme de mure': 16,
+  sake: 15,
+  champagne: 12,
+  'sparkling wine': 12,
+  wine: 12,
+  prosecco: 11,
+  cava: 11,
+  aperol: 11,
+  falernum: 11,
+  stout: 6,
+  beer: 5,
+  lager: 5,
+  cider: 5,
+  'ginger beer': 0,
+  'root beer': 0,
+  'bitter lemon': 0,
+  'maraschino cherry': 0,
+  'cider vinegar': 0,
+  'wine vinegar': 0,
+  'non alcoholic': 0,
+  'alcohol free': 0,
+  'zero proof': 0
+});
+
+const ABV_PATTERNS = Object.entries(INGREDIENT_ABV)
+  .map(([phrase, abv]) => ({ tokens: tokenize(phrase), abv }))
+  .sort((a, b) => b.tokens.length - a.tokens.length);
+
+function containsSequence(tokens, sequence) {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+export function ingredientAbv(name) {
+  const tokens = tokenize(name);
+  if (!tokens.length) return 0;
+  for (const pattern of ABV_PATTERNS) {
+    if (containsSequence(tokens, pattern.tokens)) return pattern.abv;
+  }
+  return 0;
+}
+
+export function preparationMethod(instructions) {
+  const text = String(instructions ?? '');
+  for (const [method, pattern] of METHOD_PATTERNS) {
+    if (pattern.test(text)) return method;
+  }
+  return 'built';
+}
+
+export function strengthLevel(abv) {
+  if (!Number.isFinite(abv) || abv <= 0) return 'none';
+  if (abv >= STRENGTH_THRESHOLDS.strong) return 'strong';
+  if (abv >= STRENGTH_THRESHOLDS.medium) return 'medium';
+  return 'light';
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export function estimateStrength(ingredients, instructions) {
+  let volume = 0;
+  let alcohol = 0;
+  for (const entry of Array.isArray(ingredients) ? ingredients : []) {
+    if (!entry || typeof entry !== 'object') continue;
+    const ml = amountInMilliliters(entry.amount);
+    if (!ml) continue;
+    volume += ml;
+    alcohol += (ml * ingredientAbv(ingredientName(entry))) / 100;
+  }
+  if (!volume) return null;
+
+  const method = preparationMethod(instructions);
+  const abv = round((alcohol / (volume * (1 + DILUTION_BY_METHOD[method]))) * 100, 1);
+  const grams = round(alcohol * ETHANOL_DENSITY, 1);
+  return {
+    abv,
+    alcohol_grams: grams,
+    standard_drinks: round(grams / STANDARD_DRINK_GRAMS, 1),
+    method,
+    level: strengthLevel(abv)
+  };
+}
+
+export function alcoholContentLabel(strength) {
+  return strength && strength.abv > 0 ? `${strength.abv}% ABV` : '';
+}
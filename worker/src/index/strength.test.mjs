@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { estimateStrength, ingredientAbv, preparationMethod, strengthLevel, alcoholContentLabel } from './strength.js';
+import { structureIngredients } from './measures.js';
+
+function recipe(...pairs) {
+  return structureIngredients(pairs.map(([measure, name]) => ({ name, measure })));
+}
+
+test('ingredientAbv prefers the most specific phrase and knows non-alcoholic look-alikes', () => {
+  assert.equal(ingredientAbv('London Dry Gin'), 40);
+  assert.equal(ingredientAbv('Sloe Gin'), 26);
+  assert.equal(ingredientAbv('Cachaça'), 40);
+  assert.equal(ingredientAbv('Angostura Bitters'), 44.7);
+  assert.equal(ingredientAbv('Ginger Beer'), 0);
+  assert.equal(ingredientAbv('Maraschino Cherries'), 0);
+  assert.equal(ingredientAbv('Fresh Lime Juice'), 0);
+});
+
+test('preparationMethod reads the instructions', () => {
+  assert.equal(preparationMethod('Add everything to a shaker and shake hard.'), 'shaken');
+  assert.equal(preparationMethod('Stir over ice, strain.'), 'stirred');
+  assert.equal(preparationMethod('Blend with crushed ice.'), 'blended');
+  assert.equal(preparationMethod('Pour over ice.'), 'built');
+});
+
+test('estimateStrength dilutes by method and counts alcohol grams and standard drinks', () => {
+  const negroni = estimateStrength(recipe(['1 oz', 'Gin'], ['1 oz', 'Campari'], ['1 oz', 'Sweet Vermouth']), 'Stir.');
+  assert.deepEqual(negroni, { abv: 21.9, alcohol_grams: 18.7, standard_drinks: 1.3, method: 'stirred', level: 'strong' });
+
+  const spritz = estimateStrength(recipe(['3 oz', 'Prosecco'], ['2 oz', 'Aperol'], ['1 oz', 'Soda']), 'Build.');
+  assert.equal(spritz.level, 'light');
+  assert.equal(alcoholContentLabel(spritz), '8.3% ABV');
+
+  const mocktail = estimateStrength(recipe(['2 oz', 'Lime Juice'], ['4 oz', 'Ginger Beer']), '');
+  assert.equal(mocktail.level, 'none');
+  assert.equal(alcoholContentLabel(mocktail), '');
+
+  assert.equal(estimateStrength(recipe(['Top up', 'Soda']), ''), null);
+});
+
+test('strengthLevel thresholds', () => {
+  assert.equal(strengthLevel(0), 'none');
+  assert.equal(strengthLevel(11.9), 'light');
+  assert.equal(strengthLevel(12), 'medium');
+  assert.equal(strengthLevel(20), 'strong');
+});
@@ -0,0 +1,71 @@
+import { foldText, tokenize } from './tokens.js';
+import { resolveCategoryPlaceholder, taxonomyLabel } from './taxonomy.js';
+
+export const SUGGEST_DEFAULT_LIMIT = 8;
+export const SUGGEST_MAX_LIMIT = 20;
+
+const TAXONOMY_SOURCES = [
+  ['category', '_categoryIndex'],
+  ['tag', '_tagIndex'],
+  ['mood', '_moodIndex']
+];
+
+function matchQuality(text, query, queryTokens) {
+  const lc = foldText(text);
+  if (!lc || !queryTokens.length) return 0;
+  if (lc.startsWith(query)) return 2;
+  const words = tokenize(lc);
+  const allPrefixed = queryTokens.every(token => words.some(word => word.startsWith(token)));
+  return allPrefixed ? 1 : 0;
+}
+
+function prefixCandidates(idx, queryTokens) {
+  const prefixIndex = idx && idx._tokenPrefixIndex;
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const longest = queryTokens.reduce((a, b) => (b.length > a.length ? b : a), '');
+  if (!prefixIndex || typeof prefixIndex !== 'object' || longest.length < 2) {
+    return rows.map((_, i) => i);
+  }
+
+  const list = prefixIndex[longest.slice(0, Math.min(3, longest.length))];
+  return Array.isArray(list) ? list : [];
+}
+
+export function suggestCompletions(idx, qRaw, { limit = SUGGEST_DEFAULT_LIMIT } = {}) {
+  const query = foldText(qRaw).trim().replace(/\s+/g, ' ');
+  const queryTokens = tokenize(query);
+  if (!queryTokens.length) return [];
+
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const suggestions = [];
+
+  for (const pos of prefixCandidates(idx, queryTokens)) {
+    const row = rows[pos];
+    if (!row || !row.name) continue;
+    const quality = matchQuality(row._name_lc ?? row.name, query, queryTokens);
+    if (!quality) continue;
+    suggestions.push({ type: 'recipe', value: row.name, label: row.name, slug: row.slug, count: 1, quality });
+  }
+
+  for (const [type, mapKey] of TAXONOMY_SOURCES) {
+    const map = idx && idx[mapKey];
+    if (!map || typeof map !== 'object') continue;
+    for (const [value, list] of Object.entries(map)) {
+      if (!Array.isArray(list) || !list.length) continue;
+      const resolved = resolveCategoryPlaceholder(value);
+      if (!resolved) continue;
+      const label = taxonomyLabel(resolved) || resolved;
+      const quality = Math.max(matchQuality(label, query, queryTokens), matchQuality(resolved, query, queryTokens));
+      if (!quality) continue;
+      suggestions.push({ type, value: resolved.toLowerCase(), label, count: list.length, quality });
+    }
+  }
+
+  suggestions.sort((a, b) => {
+    if (b.quality !== a.quality) return b.quality - a.quality;
+    if (b.count !== a.count) return b.count - a.count;
+    return a.label.localeCompare(b.label);
+  });
+
+  return suggestions.slice(0, limit).map(({ quality, ...rest }) => rest);
+}
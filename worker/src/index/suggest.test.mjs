@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex } from './testFixtures.mjs';
+import { suggestCompletions } from './suggest.js';
+
+test('suggestCompletions mixes recipe names and taxonomy terms with counts', async () => {
+  const { idx } = await buildIndex([
+    ['Sidecar', '', 'cat_sour', 'citrus', 'sophisticated', '5m', 'Easy', '2024-01-04', '[]', '', '', ''],
+    ['Whiskey Sour', '', 'cat_sour', 'citrus', 'sharp', '5m', 'Easy', '2024-01-03', '[]', '', '', ''],
+    ['Sour Cherry Smash', '', 'unknown_other', 'cherry', 'sweet', '5m', 'Easy', '2024-01-02', '[]', '', '', ''],
+    ['Spritz', '', 'cat_spritz', 'bubbly', 'sunny', '5m', 'Easy', '2024-01-01', '[]', '', '', '']
+  ]);
+
+  const results = suggestCompletions(idx, 'sour');
+  assert.deepEqual(results[0], { type: 'category', value: 'cat_sour', label: 'Sour', count: 2 });
+  assert.deepEqual(
+    results.filter(r => r.type === 'recipe').map(r => r.slug),
+    ['sour-cherry-smash', 'whiskey-sour']
+  );
+  assert.ok(!results.some(r => r.value === 'unknown_other'));
+
+  const limited = suggestCompletions(idx, 's', { limit: 3 });
+  assert.equal(limited.length, 3);
+  assert.deepEqual(suggestCompletions(idx, '   '), []);
+});
@@ -0,0 +1,88 @@
+import { tokenize } from './tokens.js';
+
+export const DEFAULT_SYNONYMS = Object.freeze([
+  ['rye', 'rye whiskey', 'rye whisky'],
+  ['bourbon', 'bourbon whiskey'],
+  ['whiskey', 'whisky'],
+  ['soda', 'club soda', 'soda water', 'sparkling water'],
+  ['coriander', 'cilantro'],
+  ['simple syrup', 'sugar syrup'],
+  ['triple sec', 'orange liqueur'],
+  ['tonic', 'tonic water']
+]);
+
+export function parseSynonymRows(values) {
+  const groups = [];
+  const rows = Array.isArray(values) ? values.slice(1) : [];
+  for (const row of rows) {
+    if (!Array.isArray(row)) continue;
+    const terms = [];
+    for (const cell of row) {
+      for (const part of String(cell ?? '').split(',')) {
+        const term = part.trim();
+        if (term) terms.push(term);
+      }
+    }
+    if (terms.length >= 2) groups.push(terms);
+  }
+  return groups;
+}
+
+export function compileSynonyms(groups) {
+  const compiled = [];
+  for (const group of Array.isArray(groups) ? groups : []) {
+    if (!Array.isArray(group)) continue;
+    const seen = new Set();
+    const phrases = [];
+    for (const term of group) {
+      const tokens = Array.isArray(term) ? term.map(String) : tokenize(term);
+      const key = tokens.join(' ');
+      if (!tokens.length || seen.has(key)) continue;
+      seen.add(key);
+      phrases.push(tokens);
+    }
+    if (phrases.length >= 2) compiled.push(phrases);
+  }
+  return compiled;
+}
+
+function buildPhraseLookup(groups) {
+  const lookup = new Map();
+  let longest = 1;
+  groups.forEach((phrases, groupIdx) => {
+    for (const phrase of phrases) {
+      const key = phrase.join(' ');
+      if (!lookup.has(key)) lookup.set(key, groupIdx);
+      if (phrase.length > longest) longest = phrase.length;
+    }
+  });
+  return { lookup, longest };
+}
+
+export function expandQueryTokens(tokens, groups) {
+  const list = Array.isArray(tokens) ? tokens : [];
+  const compiled = Array.isArray(groups) ? groups : [];
+  if (!compiled.length) return list.map(token => ({ source: [token], alternatives: [[token]] }));
+
+  const { lookup, longest } = buildPhraseLookup(compiled);
+  const clauses = [];
+  let i = 0;
+  while (i < list.length) {
+    let matched = null;
+    for (let size = Math.min(longest, list.length - i); size >= 1; size--) {
+      const key = list.slice(i, i + size).join(' ');
+      if (lookup.has(key)) {
+        matched = { size, groupIdx: lookup.get(key) };
+        break;
+      }
+    }
+    if (matched) {
+      clauses.push({ source: list.slice(i, i + matched.size), alternatives: compiled[matched.groupIdx] });
+      i += matched.size;
+    } else {
+      clauses.push({ source: [list[i]], alternatives: [[list[i]]] });
+      i += 1;
+    }
+  }
+  return clauses;
+}
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex, createSheetBuilder, ingredientsJson } from './testFixtures.mjs';
+import { compileSynonyms, expandQueryTokens, parseSynonymRows } from './synonyms.js';
+
+test('parseSynonymRows skips the header row and splits comma-separated cells', () => {
+  const groups = parseSynonymRows([
+    ['Term', 'Synonyms'],
+    ['aubergine', 'eggplant'],
+    ['scallion', 'spring onion, green onion'],
+    ['lonely']
+  ]);
+  assert.deepEqual(groups, [['aubergine', 'eggplant'], ['scallion', 'spring onion', 'green onion']]);
+});
+
+test('expandQueryTokens prefers the longest synonym phrase', () => {
+  const groups = compileSynonyms([['rye', 'rye whiskey'], ['soda', 'club soda']]);
+  const clauses = expandQueryTokens(['rye', 'whiskey', 'club', 'soda', 'sour'], groups);
+  assert.deepEqual(clauses, [
+    { source: ['rye', 'whiskey'], alternatives: [['rye'], ['rye', 'whiskey']] },
+    { source: ['club', 'soda'], alternatives: [['soda'], ['club', 'soda']] },
+    { source: ['sour'], alternatives: [['sour']] }
+  ]);
+});
+
+test('plural queries and regional names reach the same recipes', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Rye Old Fashioned', '', 'Classics', 'bitters', 'boozy', '5m', 'Easy', '2024-01-04', ingredientsJson('Rye Whiskey', 'Angostura Bitters'), '', '', ''],
+    ['Tom Collins', '', 'Highballs', 'fizzy', 'bright', '5m', 'Easy', '2024-01-03', ingredientsJson('Gin', 'Lemon Juice', 'Club Soda'), '', '', ''],
+    ['Green Margarita', '', 'Sours', 'herbal', 'fresh', '5m', 'Easy', '2024-01-02', ingredientsJson('Tequila', 'Limes', 'Cilantro'), '', '', ''],
+    ['Vegan Sour', '', 'Sours', 'foamy', 'bright', '5m', 'Easy', '2024-01-01', ingredientsJson('Gin', 'Chickpea Water'), '', '', '']
+  ], {
+    env: { SYNONYMS_SHEET_NAME: 'synonyms' },
+    tabs: { synonyms: [['Term', 'Synonyms'], ['aquafaba', 'chickpea water']] }
+  });
+  const slugs = (q) => builder.filterIndex(idx, q).map(i => idx.rows[i].slug);
+
+  assert.deepEqual(slugs('bitter'), slugs('bitters'));
+  assert.deepEqual(slugs('margaritas'), ['green-margarita']);
+  assert.deepEqual(slugs('lime'), ['green-margarita']);
+  assert.deepEqual(slugs('rye'), ['rye-old-fashioned']);
+  assert.deepEqual(slugs('soda'), ['tom-collins']);
+  assert.deepEqual(slugs('coriander'), ['green-margarita']);
+  assert.deepEqual(slugs('aquafaba'), ['vegan-sour']);
+});
+
+test('a missing synonyms tab does not break the index build', async () => {
+  const builder = createSheetBuilder([['Negroni', '', 'Classics', '', '', '5m', 'Easy', '2024-01-01', '[]', '', '', '']], {
+    tabs: { synonyms: new Error('Sheets API 400') }
+  });
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts', SYNONYMS_SHEET_NAME: 'synonyms' });
+    assert.equal(idx.rows.length, 1);
+    assert.ok(idx._synonyms.length > 0);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('the synonyms tab is read over its whole used range', async () => {
+  const ranges = [];
+  const { idx, builder } = await buildIndex([['Tom Collins', '', 'Highballs', '', '', '5m', 'Easy', '2024-01-01', '[]', '', '', '']], {
+    env: { SYNONYMS_SHEET_NAME: 'synonyms' },
+    tabs: { synonyms: [['Term', ...Array.from({ length: 30 }, (_, i) => `Alt ${i}`)], ['tom', ...Array.from({ length: 29 }, (_, i) => `filler${i}`), 'thomas']] },
+    ranges
+  });
+
+  assert.deepEqual(ranges, ['posts', 'synonyms']);
+  assert.deepEqual(builder.filterIndex(idx, 'thomas').map(i => idx.rows[i].slug), ['tom-collins']);
+});
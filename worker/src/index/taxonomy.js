@@ -0,0 +1,37 @@
+export const CATEGORY_PLACEHOLDER_MAP = new Map([
+  ['unknown_other', null],
+  ['unknownother', null]
+]);
+
+export function normalizeCategoryKey(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return '';
+  return normalized
+    .replace(/^(cat|glass|style|strength|flavor|energy|occ)_/, '')
+    .replace(/[\s/-]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '');
+}
+
+export function normalizeMoodKey(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (!normalized) return '';
+  return normalized
+    .replace(/[\s/-]+/g, '_')
+    .replace(/[^a-z0-9_]/g, '');
+}
+
+export function resolveCategoryPlaceholder(value) {
+  const normalized = normalizeCategoryKey(value);
+  if (!normalized) return null;
+  if (!CATEGORY_PLACEHOLDER_MAP.has(normalized)) return value;
+  const replacement = CATEGORY_PLACEHOLDER_MAP.get(normalized);
+  return typeof replacement === 'string' && replacement ? replacement : null;
+}
+
+export function taxonomyLabel(value) {
+  return normalizeCategoryKey(value)
+    .split('_')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
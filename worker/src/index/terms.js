@@ -0,0 +1,54 @@
+import { FACET_INDEX_MAPS } from './facets.js';
+import { normalizeCategoryKey, resolveCategoryPlaceholder, taxonomyLabel } from './taxonomy.js';
+
+export const TAXONOMY_ROUTES = Object.freeze({
+  categories: 'category',
+  tags: 'tag',
+  moods: 'mood',
+  glasses: 'glass'
+});
+
+function representativeRow(rows, positions) {
+  for (const pos of positions) {
+    const row = rows[pos];
+    if (row && (row.image_thumb || row.image_url)) return row;
+  }
+  return null;
+}
+
+export function taxonomyTerms(idx, facet) {
+  const rows = (idx && Array.isArray(idx.rows)) ? idx.rows : [];
+  const map = idx && idx[FACET_INDEX_MAPS[facet]];
+  if (!map || typeof map !== 'object') return [];
+
+  const grouped = new Map();
+  for (const [value, list] of Object.entries(map)) {
+    if (!Array.isArray(list) || !list.length) continue;
+    const resolved = resolveCategoryPlaceholder(value);
+    const slug = normalizeCategoryKey(resolved).replace(/_/g, '-');
+    if (!resolved || !slug) continue;
+
+    const entry = grouped.get(slug) || { slug, label: taxonomyLabel(resolved), values: [], positions: new Set() };
+    entry.values.push({ value: String(resolved).toLowerCase(), count: list.length });
+    for (const pos of list) entry.positions.add(pos);
+    grouped.set(slug, entry);
+  }
+
+  const terms = [];
+  for (const entry of grouped.values()) {
+    entry.values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    const positions = Array.from(entry.positions).sort((a, b) => a - b);
+    const image = representativeRow(rows, positions);
+    terms.push({
+      slug: entry.slug,
+      label: entry.label,
+      values: entry.values.map(v => v.value),
+      count: positions.length,
+      image_url: image ? image.image_url : '',
+      image_thumb: image ? image.image_thumb : ''
+    });
+  }
+
+  terms.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  return terms;
+}
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex } from './testFixtures.mjs';
+import { taxonomyTerms } from './terms.js';
+
+async function buildTaxonomyIndex() {
+  const { idx } = await buildIndex([
+    ['Daiquiri', '', 'cat_sours', 'classic', 'bright', '5m', 'Easy', '2024-01-04', '[]', '', 'glass_coupe', ''],
+    ['Whiskey Sour', 'https://example.com/sour.jpg', 'Sours', 'classic', 'bright', '5m', 'Easy', '2024-01-03', '[]', '', 'Rocks', ''],
+    ['Mystery', 'https://example.com/mystery.jpg', 'unknown_other', 'unknown_other', '', '5m', 'Easy', '2024-01-02', '[]', '', '', ''],
+    ['Mai Tai', 'https://example.com/maitai.jpg', 'Tiki', 'classic', 'tropical', '5m', 'Easy', '2024-01-01', '[]', '', 'Rocks', '']
+  ]);
+  return idx;
+}
+
+test('taxonomyTerms merges prefixed values, drops placeholders and picks the newest image', async () => {
+  const idx = await buildTaxonomyIndex();
+
+  const categories = taxonomyTerms(idx, 'category');
+  assert.deepEqual(categories.map(t => [t.slug, t.label, t.count]), [['sours', 'Sours', 2], ['tiki', 'Tiki', 1]]);
+  assert.deepEqual(categories[0].values.sort(), ['cat_sours', 'sours']);
+  assert.ok(categories[0].image_url.length > 0);
+
+  assert.deepEqual(taxonomyTerms(idx, 'tag').map(t => t.slug), ['classic']);
+  assert.deepEqual(taxonomyTerms(idx, 'glass').map(t => [t.slug, t.label, t.count]), [['rocks', 'Rocks', 2], ['coupe', 'Coupe', 1]]);
+  assert.deepEqual(taxonomyTerms(idx, 'nope'), []);
+});
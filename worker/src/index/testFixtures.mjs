@@ -0,0 +1,25 @@
+import { createIndexBuilder } from './indexBuilder.js';
+
+export const HEADER = Object.freeze(['Name', 'Image_URL', 'Category', 'Tags', 'Mood_Labels', 'Prep_Time', 'Difficulty', 'Date', 'Ingredients_JSON', 'Instructions', 'Glass', 'Garnish']);
+
+export function ingredientsJson(...names) {
+  return JSON.stringify(names.map(name => ({ name, measure: '1 oz' })));
+}
+
+export function createSheetBuilder(rows, { tabs = {}, ranges = [] } = {}) {
+  return createIndexBuilder({
+    fetchSheetValues: async (_env, range) => {
+      ranges.push(range);
+      const tab = String(range).split('!')[0];
+      if (tabs[tab] instanceof Error) throw tabs[tab];
+      if (Object.prototype.hasOwnProperty.call(tabs, tab)) return { values: tabs[tab] };
+      return { values: [HEADER, ...rows] };
+    }
+  });
+}
+
+export async function buildIndex(rows, { env = {}, tabs, ranges } = {}) {
+  const builder = createSheetBuilder(rows, { tabs, ranges });
+  const idx = await builder.buildIndexFromSheet({ SHEET_NAME: 'posts', ...env });
+  return { idx, builder };
+}
@@ -0,0 +1,52 @@
+export const TOKENIZER_VERSION = 3;
+
+const LETTER_FOLDS = new Map([
+  ['æ', 'ae'],
+  ['œ', 'oe'],
+  ['ß', 'ss'],
+  ['ø', 'o'],
+  ['đ', 'd'],
+  ['ð', 'd'],
+  ['ł', 'l'],
+  ['þ', 'th'],
+  ['ı', 'i']
+]);
+
+const LETTER_FOLD_PATTERN = new RegExp(`[${Array.from(LETTER_FOLDS.keys()).join('')}]`, 'g');
+const APOSTROPHE_PATTERN = /(?<=[\p{L}\p{N}])['’ʼ`´](?=[\p{L}\p{N}])/gu;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export function foldText(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}+/gu, '')
+    .replace(LETTER_FOLD_PATTERN, ch => LETTER_FOLDS.get(ch))
+    .replace(APOSTROPHE_PATTERN, '');
+}
+
+export function stem(token) {
+  const word = String(token || '');
+  if (word.length <= 3 || !word.endsWith('s') || /\d/.test(word)) return word;
+  if (word.endsWith('ss') || word.endsWith('us') || word.endsWith('is')) return word;
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(?:ch|sh|x|zz|ss)es$/.test(word)) return word.slice(0, -2);
+  return word.slice(0, -1);
+}
+
+export function tokenize(value) {
+  const str = foldText(value);
+  if (!str) return [];
+  const matches = str.match(TOKEN_PATTERN);
+  return matches ? matches.filter(Boolean).map(stem) : [];
+}
+
+export function addTokens(set, value) {
+  for (const token of tokenize(value)) {
+    set.add(token);
+  }
+}
+
+export function tokenizeQuery(qRaw) {
+  return tokenize(qRaw);
+}
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIndex } from './testFixtures.mjs';
+import { foldText, stem, tokenize } from './tokens.js';
+
+test('tokenize folds diacritics, ligatures and apostrophes', () => {
+  assert.deepEqual(tokenize('Piña Colada'), ['pina', 'colada']);
+  assert.deepEqual(tokenize('Pimm’s Cup'), ['pimm', 'cup']);
+  assert.deepEqual(tokenize("Pimm's"), ['pimm']);
+  assert.deepEqual(tokenize('Crème de Cassis'), ['creme', 'de', 'cassis']);
+  assert.deepEqual(tokenize('Œillet Æther Straße'), ['oeillet', 'aether', 'strasse']);
+  assert.deepEqual(tokenize('rock \'n roll'), ['rock', 'n', 'roll']);
+  assert.equal(foldText('CRÈME'), 'creme');
+});
+
+test('stem folds plural forms onto their singular', () => {
+  assert.equal(stem('limes'), 'lime');
+  assert.equal(stem('margaritas'), 'margarita');
+  assert.equal(stem('bitters'), 'bitter');
+  assert.equal(stem('cherries'), 'cherry');
+  assert.equal(stem('peaches'), 'peach');
+  assert.equal(stem('glasses'), 'glass');
+  assert.equal(stem('glass'), 'glass');
+  assert.equal(stem('citrus'), 'citrus');
+  assert.equal(stem('cassis'), 'cassis');
+  assert.equal(stem('gas'), 'gas');
+});
+
+test('accented and unaccented queries find the same recipes', async () => {
+  const { idx, builder } = await buildIndex([
+    ['Piña Colada', '', 'Tiki', 'tropical', 'sunny', '5m', 'Easy', '2024-01-02', '[]', '', '', ''],
+    ['Pimm’s Cup', '', 'Highballs', 'british', 'light', '5m', 'Easy', '2024-01-01', JSON.stringify([{ name: 'Crème de Cassis' }]), '', '', '']
+  ]);
+  const slugs = (q) => builder.filterIndex(idx, q).map(i => idx.rows[i].slug);
+
+  assert.deepEqual(slugs('piña'), ['pina-colada']);
+  assert.deepEqual(slugs('pina'), ['pina-colada']);
+  assert.deepEqual(slugs("pimm's"), ['pimm-s-cup']);
+  assert.deepEqual(slugs('pimms'), ['pimm-s-cup']);
+  assert.deepEqual(slugs('creme de cassis'), ['pimm-s-cup']);
+});
+
+test('indexes built with an older tokenizer are not treated as precomputed', async () => {
+  const { idx, builder } = await buildIndex([['Piña Colada', '', 'Tiki', '', '', '5m', 'Easy', '2024-01-02', '[]', '', '', '']]);
+  assert.ok(builder.hasPrecomputedMaps(idx));
+
+  const legacy = JSON.parse(JSON.stringify(idx));
+  delete legacy._tokenizerVersion;
+  assert.ok(!builder.hasPrecomputedMaps(legacy));
+  assert.deepEqual(builder.filterIndex(legacy, 'pina'), [0]);
+});
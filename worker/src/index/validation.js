@@ -0,0 +1,49 @@
+export const REQUIRED_COLUMNS = Object.freeze(['name', 'date', 'ingredients']);
+
+const ISSUE_SEVERITY = Object.freeze({
+  missing_required: 'error',
+  bad_json: 'error',
+  invalid_date: 'error',
+  duplicate_slug: 'warning',
+  unknown_header: 'warning',
+  shadowed_header: 'warning',
+  not_an_image_url: 'warning',
+  future_date: 'warning',
+  unknown_status: 'warning'
+});
+
+const IMAGE_EXTENSIONS = /\.(?:avif|gif|jpe?g|png|svg|webp)$/i;
+const IMAGE_HOSTS = [/^drive\.google\.com$/i, /(^|\.)googleusercontent\.com$/i];
+
+export function isImageUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return false;
+  if (IMAGE_HOSTS.some(pattern => pattern.test(url.hostname))) return true;
+  return IMAGE_EXTENSIONS.test(url.pathname);
+}
+
+export function createValidationReport() {
+  const issues = [];
+
+  return {
+    add(row, column, problem, value) {
+      const issue = { row, column, problem, severity: ISSUE_SEVERITY[problem] || 'warning' };
+      if (value !== undefined && value !== null && value !== '') issue.value = String(value).slice(0, 200);
+      issues.push(issue);
+    },
+    finish(now = new Date()) {
+      issues.sort((a, b) => a.row - b.row || String(a.column).localeCompare(String(b.column)));
+      return {
+        generated_at: now.toISOString(),
+        error_count: issues.filter(issue => issue.severity === 'error').length,
+        warning_count: issues.filter(issue => issue.severity === 'warning').length,
+        issues
+      };
+    }
+  };
+}
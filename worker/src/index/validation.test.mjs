@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createValidationReport, isImageUrl } from './validation.js';
+
+test('isImageUrl accepts image files and Drive hosted images only', () => {
+  assert.ok(isImageUrl('https://cdn.example.com/drinks/negroni.WEBP'));
+  assert.ok(isImageUrl('https://drive.google.com/file/d/abc123/view'));
+  assert.ok(isImageUrl('https://lh3.googleusercontent.com/d/abc123=w600'));
+  assert.ok(!isImageUrl('https://example.com/recipes/negroni'));
+  assert.ok(!isImageUrl('ftp://example.com/negroni.jpg'));
+  assert.ok(!isImageUrl('negroni.jpg'));
+});
+
+test('validation reports are ordered by row and count issues by severity', () => {
+  const report = createValidationReport();
+  report.add(7, 'Date', 'future_date', '2999-01-01');
+  report.add(3, 'Ingredients_JSON', 'bad_json', 'x'.repeat(500));
+  report.add(3, 'Date', 'invalid_date', '');
+
+  const result = report.finish(new Date('2024-05-01T00:00:00Z'));
+  assert.equal(result.generated_at, '2024-05-01T00:00:00.000Z');
+  assert.equal(result.error_count, 2);
+  assert.equal(result.warning_count, 1);
+  assert.deepEqual(result.issues.map(issue => [issue.row, issue.column]), [[3, 'Date'], [3, 'Ingredients_JSON'], [7, 'Date']]);
+  assert.equal(result.issues[0].value, undefined);
+  assert.equal(result.issues[1].value.length, 200);
+});
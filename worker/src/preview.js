@@ -0,0 +1,47 @@
+import { base64UrlDecode, base64UrlEncode } from './utils.js';
+
+const TOKEN_VERSION = 1;
+export const DEFAULT_PREVIEW_TTL_SECONDS = 3600;
+export const MAX_PREVIEW_TTL_SECONDS = 7 * 24 * 3600;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function importKey(secret, usage) {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+export function previewTtlSeconds(raw) {
+  const n = Number(raw);
+  if (raw === undefined || raw === null || raw === '' || !Number.isFinite(n)) return DEFAULT_PREVIEW_TTL_SECONDS;
+  return Math.max(60, Math.min(MAX_PREVIEW_TTL_SECONDS, Math.floor(n)));
+}
+
+export async function createPreviewToken(secret, { ttlSeconds = DEFAULT_PREVIEW_TTL_SECONDS, now = Date.now() } = {}) {
+  const key = String(secret || '');
+  if (!key) throw new TypeError('preview secret is required');
+  const exp = Math.floor(now / 1000) + previewTtlSeconds(ttlSeconds);
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify({ v: TOKEN_VERSION, exp })));
+  const signature = await crypto.subtle.sign('HMAC', await importKey(key, 'sign'), encoder.encode(payload));
+  return {
+    token: `${payload}.${base64UrlEncode(new Uint8Array(signature))}`,
+    expires_at: new Date(exp * 1000).toISOString()
+  };
+}
+
+export async function verifyPreviewToken(secret, token, now = Date.now()) {
+  const key = String(secret || '');
+  const parts = String(token || '').trim().split('.');
+  if (!key || parts.length !== 2 || !parts[0] || !parts[1]) return false;
+
+  let claims;
+  try {
+    const valid = await crypto.subtle.verify('HMAC', await importKey(key, 'verify'), base64UrlDecode(parts[1]), encoder.encode(parts[0]));
+    if (!valid) return false;
+    claims = JSON.parse(decoder.decode(base64UrlDecode(parts[0])));
+  } catch (_) {
+    return false;
+  }
+
+  return !!claims && claims.v === TOKEN_VERSION && Number.isFinite(claims.exp) && claims.exp * 1000 > now;
+}
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPreviewToken, previewTtlSeconds, verifyPreviewToken, MAX_PREVIEW_TTL_SECONDS } from './preview.js';
+
+test('preview tokens verify with the signing secret until they expire', async () => {
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  const { token, expires_at } = await createPreviewToken('s3cret', { ttlSeconds: 600, now });
+
+  assert.equal(expires_at, '2024-06-01T12:10:00.000Z');
+  assert.equal(await verifyPreviewToken('s3cret', token, now), true);
+  assert.equal(await verifyPreviewToken('s3cret', token, now + 600 * 1000), false);
+  assert.equal(await verifyPreviewToken('other', token, now), false);
+  assert.equal(await verifyPreviewToken('', token, now), false);
+});
+
+test('tampered or malformed preview tokens are rejected', async () => {
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  const { token } = await createPreviewToken('s3cret', { now });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ v: 1, exp: 9999999999 })).toString('base64url');
+
+  assert.equal(await verifyPreviewToken('s3cret', `${forged}.${signature}`, now), false);
+  assert.equal(await verifyPreviewToken('s3cret', 'not-a-token', now), false);
+  assert.equal(await verifyPreviewToken('s3cret', '%%%.%%%', now), false);
+});
+
+test('preview token lifetimes are clamped', () => {
+  assert.equal(previewTtlSeconds(undefined), 3600);
+  assert.equal(previewTtlSeconds('abc'), 3600);
+  assert.equal(previewTtlSeconds(5), 60);
+  assert.equal(previewTtlSeconds(10 ** 9), MAX_PREVIEW_TTL_SECONDS);
+});
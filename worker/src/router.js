@@ -1,9 +1,21 @@
 import { json } from './utils.js';
+import { TAXONOMY_ROUTES } from './index/terms.js';
+import { createPreviewToken, verifyPreviewToken } from './preview.js';
 
-export function createFetchHandler({ rateLimiter, handleList, handlePost, getIndex, serializeRow }) {
+export function createFetchHandler({ rateLimiter, handleList, handlePantry, handleSuggest, handleRelated, handleRandom, handleDaily, handlePost, handlePosts, handleExport, handleTaxonomy, handleRedirects, handleValidation, getIndex, serializeRow }) {
   if (typeof rateLimiter !== 'function') throw new TypeError('rateLimiter must be a function');
   if (typeof handleList !== 'function') throw new TypeError('handleList must be a function');
+  if (typeof handlePantry !== 'function') throw new TypeError('handlePantry must be a function');
+  if (typeof handleSuggest !== 'function') throw new TypeError('handleSuggest must be a function');
+  if (typeof handleRelated !== 'function') throw new TypeError('handleRelated must be a function');
+  if (typeof handleRandom !== 'function') throw new TypeError('handleRandom must be a function');
+  if (typeof handleDaily !== 'function') throw new TypeError('handleDaily must be a function');
   if (typeof handlePost !== 'function') throw new TypeError('handlePost must be a function');
+  if (typeof handlePosts !== 'function') throw new TypeError('handlePosts must be a function');
+  if (typeof handleExport !== 'function') throw new TypeError('handleExport must be a function');
+  if (typeof handleTaxonomy !== 'function') throw new TypeError('handleTaxonomy must be a function');
+  if (typeof handleRedirects !== 'function') throw new TypeError('handleRedirects must be a function');
+  if (typeof handleValidation !== 'function') throw new TypeError('handleValidation must be a function');
   if (typeof getIndex !== 'function') throw new TypeError('getIndex must be a function');
   if (typeof serializeRow !== 'function') throw new TypeError('serializeRow must be a function');
 
@@ -14,6 +26,7 @@ export function createFetchHandler({ rateLimiter, handleList, handlePost, getInd
     try {
       const url = new URL(request.url);
       const path = url.pathname.replace(/\/+$/, '');
+      const relatedMatch = path.match(/^\/v1\/post\/([^/]+)\/related$/);
       const method = request.method || 'GET';
 
       if (method === 'OPTIONS') {
@@ -41,33 +54,204 @@ export function createFetchHandler({ rateLimiter, handleList, handlePost, getInd
         }
       }
 
+      const unauthorized = () => json({ ok: false, error: 'unauthorized' }, 401, {
+        ...cors,
+        'WWW-Authenticate': 'Bearer',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      const isAdmin = () => timingSafeEqual(providedKey(request, url), String(env.ADMIN_KEY || '').trim());
+
+      const previewToken = (request.headers.get('X-Preview-Token') || url.searchParams.get('preview') || '').trim();
+      const previewable = path === '/v1/list' || (path.startsWith('/v1/post/') && !relatedMatch);
+      let preview = false;
+      if (previewToken && previewable) {
+        if (!(await verifyPreviewToken(env.PREVIEW_SECRET, previewToken))) {
+          return json({ ok: false, error: 'invalid_preview_token' }, 401, {
+            ...cors,
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+          });
+        }
+        preview = true;
+      }
+
       let response;
 
+      const uncached = async (produce) => {
+        const { data, status } = await produce();
+        const headers = {
+          ...cors,
+          'Cache-Control': 'private, no-store',
+          'X-Content-Type-Options': 'nosniff'
+        };
+        if (status === 301 && data.slug) {
+          headers['Location'] = `/v1/post/${encodeURIComponent(data.slug)}${url.search}`;
+        }
+        return json(data, status, headers);
+      };
+
+      const conditional = async (cacheControl, produce) => {
+        const validators = indexValidators(await getIndex(env, ctx));
+        const headers = {
+          ...cors,
+          'Cache-Control': cacheControl,
+          'X-Content-Type-Options': 'nosniff'
+        };
+        if (validators.etag) headers['ETag'] = validators.etag;
+        if (validators.lastModified) headers['Last-Modified'] = validators.lastModified;
+        if (isNotModified(request, validators)) {
+          return new Response(null, { status: 304, headers });
+        }
+
+        const { data, status } = await produce();
+        if (status !== 200) {
+          delete headers['ETag'];
+          delete headers['Last-Modified'];
+        }
+        if (status === 301 && data.slug) {
+          headers['Location'] = `/v1/post/${encodeURIComponent(data.slug)}${url.search}`;
+        }
+        return json(data, status, headers);
+      };
+
       if (path === '/v1/list') {
         const qp = objFromSearch(url.searchParams);
-        const data = await handleList(qp, env, ctx);
+        delete qp.preview;
+        const produce = async () => {
+          const data = await handleList(qp, env, ctx, { preview });
+          return { data, status: data.ok ? 200 : (data.code || 400) };
+        };
+        response = preview ? await uncached(produce) : await conditional('public, max-age=60', produce);
+      } else if (path === '/v1/pantry') {
+        const qp = objFromSearch(url.searchParams);
+        response = await conditional('public, max-age=60', async () => {
+          const data = await handlePantry(qp, env, ctx);
+          return { data, status: data.ok ? 200 : (data.code || 400) };
+        });
+      } else if (path === '/v1/suggest') {
+        const qp = objFromSearch(url.searchParams);
+        response = await conditional('public, max-age=60', async () => {
+          const data = await handleSuggest(qp, env, ctx);
+          return { data, status: 200 };
+        });
+      } else if (path.startsWith('/v1/') && Object.prototype.hasOwnProperty.call(TAXONOMY_ROUTES, path.slice('/v1/'.length))) {
+        const facet = TAXONOMY_ROUTES[path.slice('/v1/'.length)];
+        response = await conditional('public, max-age=300', async () => {
+          const data = await handleTaxonomy(facet, env, ctx);
+          return { data, status: 200 };
+        });
+      } else if (path === '/v1/random') {
+        const qp = objFromSearch(url.searchParams);
+        const data = await handleRandom(qp, env, ctx);
         response = json(data, 200, {
           ...cors,
-          'ETag': data.etag,
-          'Cache-Control': 'public, max-age=60',
+          'Cache-Control': 'no-store',
           'X-Content-Type-Options': 'nosniff'
         });
+      } else if (path === '/v1/daily') {
+        const qp = objFromSearch(url.searchParams);
+        const data = await handleDaily(qp, env, ctx);
+        const status = data.ok ? 200 : (data.code || 400);
+        response = json(data, status, {
+          ...cors,
+          'Cache-Control': 'public, max-age=300',
+          'X-Content-Type-Options': 'nosniff'
+        });
+      } else if (relatedMatch) {
+        const slug = decodeURIComponent(relatedMatch[1]);
+        const qp = objFromSearch(url.searchParams);
+        response = await conditional('public, max-age=60', async () => {
+          const data = await handleRelated(slug, qp, env, ctx);
+          return { data, status: data.ok ? 200 : (data.code || 404) };
+        });
+      } else if (path === '/v1/redirects') {
+        response = await conditional('public, max-age=300', async () => {
+          const data = await handleRedirects(env, ctx);
+          return { data, status: 200 };
+        });
+      } else if (path === '/v1/posts') {
+        const qp = objFromSearch(url.searchParams);
+        response = await conditional('public, max-age=60', async () => {
+          const data = await handlePosts(qp, env, ctx);
+          return { data, status: data.ok ? 200 : (data.code || 400) };
+        });
       } else if (path.startsWith('/v1/post/')) {
         const slug = decodeURIComponent(path.slice('/v1/post/'.length));
-        const data = await handlePost(slug, env, ctx);
-        const status = data.ok ? 200 : (data.code || 404);
-        response = json(data, status, {
+        const qp = objFromSearch(url.searchParams);
+        delete qp.preview;
+        const produce = async () => {
+          const data = await handlePost(slug, qp, env, ctx, { preview });
+          return { data, status: data.ok ? 200 : (data.code || 404) };
+        };
+        response = preview ? await uncached(produce) : await conditional('public, max-age=60', produce);
+      } else if (path === '/v1/validation') {
+        if (!isAdmin()) return unauthorized();
+        const data = await handleValidation(env, ctx);
+        response = json(data, 200, {
           ...cors,
-          'Cache-Control': 'public, max-age=60',
+          'Cache-Control': 'no-store',
           'X-Content-Type-Options': 'nosniff'
         });
-      } else if (path === '/v1/debug') {
-        const idx = await getIndex(env, ctx);
-        response = json({ ok: true, total: idx.rows.length, sample: idx.rows.slice(0, 3).map(serializeRow) }, 200, {
+      } else if (path === '/v1/preview-token') {
+        if (!isAdmin()) return unauthorized();
+        const secret = String(env.PREVIEW_SECRET || '').trim();
+        if (!secret) {
+          return json({ ok: false, error: 'preview_not_configured' }, 503, {
+            ...cors,
+            'Cache-Control': 'no-store',
+            'X-Content-Type-Options': 'nosniff'
+          });
+        }
+        const issued = await createPreviewToken(secret, { ttlSeconds: url.searchParams.get('ttl') ?? undefined });
+        response = json({ ok: true, ...issued }, 200, {
           ...cors,
           'Cache-Control': 'no-store',
           'X-Content-Type-Options': 'nosniff'
         });
+      } else if (path === '/v1/export') {
+        const exportKey = String(env.EXPORT_KEY || '').trim();
+        if (exportKey) {
+          if (!timingSafeEqual(providedKey(request, url), exportKey)) return unauthorized();
+        } else {
+          const exportEnv = {
+            ...env,
+            RL_LIMIT: env.EXPORT_RL_LIMIT || 5,
+            RL_WINDOW_SEC: env.EXPORT_RL_WINDOW_SEC || 3600
+          };
+          const ip = `export:${clientIp(request) || 'unknown'}`;
+          const rateLimitResponse = await rateLimiter({ request, env: exportEnv, ctx, cors, ip });
+          if (rateLimitResponse) {
+            return rateLimitResponse;
+          }
+        }
+
+        const qp = objFromSearch(url.searchParams);
+        const data = await handleExport(qp, env, ctx);
+        if (!data.ok) {
+          response = json(data, data.code || 400, { ...cors, 'X-Content-Type-Options': 'nosniff' });
+        } else {
+          response = new Response(data.body, {
+            status: 200,
+            headers: {
+              ...cors,
+              'Content-Type': data.contentType,
+              'Content-Disposition': `attachment; filename="${data.filename}"`,
+              'Cache-Control': 'no-store',
+              'X-Content-Type-Options': 'nosniff'
+            }
+          });
+        }
+      } else if (path === '/v1/debug') {
+        response = await conditional('no-cache', async () => {
+          const idx = await getIndex(env, ctx);
+          const data = {
+            ok: true,
+            total: idx.rows.length,
+            sample: idx.rows.slice(0, 3).map(serializeRow),
+            slug_collisions: Array.isArray(idx._slugCollisions) ? idx._slugCollisions : []
+          };
+          return { data, status: 200 };
+        });
       } else {
         response = new Response('Not found', { status: 404, headers: cors });
       }
@@ -85,7 +269,7 @@ export function createFetchHandler({ rateLimiter, handleList, handlePost, getInd
 }
 
 export function createCorsHeaders(env, origin) {
-  const expose = 'ETag, Cache-Control, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+  const expose = 'ETag, Last-Modified, Cache-Control, Content-Disposition, Location, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
   const headers = { 'Vary': 'Origin', 'Access-Control-Expose-Headers': expose };
 
   if (!origin) return headers;
@@ -179,6 +363,52 @@ function escapeRegExp(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+function indexValidators(idx) {
+  const etag = idx && idx.etag ? `W/"${idx.etag}"` : null;
+  const modified = idx && idx._modifiedAt ? new Date(idx._modifiedAt) : null;
+  const lastModified = modified && !isNaN(modified.getTime()) ? modified.toUTCString() : null;
+  return { etag, lastModified };
+}
+
+function opaqueTag(tag) {
+  return tag.trim().replace(/^W\//, '');
+}
+
+function isNotModified(request, { etag, lastModified }) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) {
+    if (!etag) return false;
+    if (ifNoneMatch.trim() === '*') return true;
+    const current = opaqueTag(etag);
+    return ifNoneMatch.split(',').some(tag => opaqueTag(tag) === current);
+  }
+
+  const ifModifiedSince = request.headers.get('If-Modified-Since');
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    return !isNaN(since) && Date.parse(lastModified) <= since;
+  }
+  return false;
+}
+
+function providedKey(request, url) {
+  const auth = request.headers.get('Authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (url.searchParams.get('key') || '').trim();
+}
+
+function timingSafeEqual(a, b) {
+  const left = String(a || '');
+  const right = String(b || '');
+  if (!left || left.length !== right.length) return false;
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left.charCodeAt(i) ^ right.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
 function clientIp(request) {
   return request.headers.get('CF-Connecting-IP')
       || request.headers.get('True-Client-IP')
@@ -188,6 +418,14 @@ function clientIp(request) {
 
 function objFromSearch(sp) {
   const o = {};
-  for (const [k, v] of sp) o[k] = v;
+  for (const [k, v] of sp) {
+    if (!(k in o)) {
+      o[k] = v;
+    } else if (Array.isArray(o[k])) {
+      o[k].push(v);
+    } else {
+      o[k] = [o[k], v];
+    }
+  }
   return o;
 }
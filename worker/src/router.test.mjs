@@ -7,7 +7,17 @@ function createHandler(overrides = {}) {
   return createFetchHandler({
     rateLimiter: () => null,
     handleList: () => { throw new Error('handleList should not be called'); },
+    handlePantry: () => { throw new Error('handlePantry should not be called'); },
+    handleSuggest: () => { throw new Error('handleSuggest should not be called'); },
+    handleRelated: () => { throw new Error('handleRelated should not be called'); },
+    handleRandom: () => { throw new Error('handleRandom should not be called'); },
+    handleDaily: () => { throw new Error('handleDaily should not be called'); },
     handlePost: () => ({ ok: true, etag: 'etag' }),
+    handlePosts: () => { throw new Error('handlePosts should not be called'); },
+    handleExport: () => { throw new Error('handleExport should not be called'); },
+    handleTaxonomy: () => { throw new Error('handleTaxonomy should not be called'); },
+    handleRedirects: () => { throw new Error('handleRedirects should not be called'); },
+    handleValidation: () => { throw new Error('handleValidation should not be called'); },
     getIndex: () => ({ rows: [] }),
     serializeRow: (row) => row,
     ...overrides
@@ -59,3 +69,298 @@ test('HEAD /v1/post/<missing> mirrors GET status codes', async () => {
   assert.equal(await headResponse.text(), '');
   assert.equal(calls, 2);
 });
+
+test('/v1/list passes repeated query params through as arrays', async () => {
+  let received;
+  const handler = createHandler({
+    handleList: (qp) => {
+      received = qp;
+      return { ok: true, etag: 'etag' };
+    }
+  });
+
+  const response = await handler(new Request('https://example.com/v1/list?mood=citrusy&mood=bubbly&category=sour'));
+  assert.equal(response.status, 200);
+  assert.deepEqual(received.mood, ['citrusy', 'bubbly']);
+  assert.equal(received.category, 'sour');
+});
+
+test('/v1/pantry surfaces handler errors with their status code', async () => {
+  let received;
+  const handler = createHandler({
+    handlePantry: (qp) => {
+      received = qp;
+      return { ok: false, code: 400, error: 'missing_ingredients' };
+    }
+  });
+
+  const response = await handler(new Request('https://example.com/v1/pantry?ingredients='));
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'missing_ingredients');
+  assert.equal(received.ingredients, '');
+});
+
+test('/v1/post/<slug>/related routes to the related handler, not the post handler', async () => {
+  let receivedSlug;
+  const handler = createHandler({
+    handlePost: () => { throw new Error('handlePost should not be called'); },
+    getIndex: () => ({ rows: [], etag: 'etag-related' }),
+    handleRelated: (slug, qp) => {
+      receivedSlug = slug;
+      assert.equal(qp.limit, '4');
+      return { ok: true, etag: 'etag-related', slug, posts: [] };
+    }
+  });
+
+  const response = await handler(new Request('https://example.com/v1/post/daiquiri/related?limit=4'));
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('ETag'), 'W/"etag-related"');
+  assert.equal(receivedSlug, 'daiquiri');
+});
+
+test('a recipe slugged related is served by the post handler', async () => {
+  const seen = [];
+  const handler = createHandler({
+    handlePost: (slug) => {
+      seen.push(`post:${slug}`);
+      return { ok: true, post: { slug } };
+    },
+    handleRelated: (slug) => {
+      seen.push(`related:${slug}`);
+      return { ok: true, slug, posts: [] };
+    }
+  });
+
+  assert.equal((await handler(new Request('https://example.com/v1/post/related'))).status, 200);
+  assert.equal((await handler(new Request('https://example.com/v1/post/related/related'))).status, 200);
+  assert.deepEqual(seen, ['post:related', 'related:related']);
+});
+
+test('/v1/random is never cached and /v1/daily reports invalid timezones', async () => {
+  const handler = createHandler({
+    handleRandom: (qp) => {
+      assert.equal(qp.category, 'sours');
+      return { ok: true, etag: 'etag-random', total: 0, posts: [] };
+    },
+    handleDaily: (qp) => ({ ok: false, code: 400, error: 'invalid_timezone', tz: qp.tz })
+  });
+
+  const random = await handler(new Request('https://example.com/v1/random?category=sours'));
+  assert.equal(random.status, 200);
+  assert.equal(random.headers.get('Cache-Control'), 'no-store');
+
+  const daily = await handler(new Request('https://example.com/v1/daily?tz=Mars/Olympus'));
+  assert.equal(daily.status, 400);
+  assert.equal((await daily.json()).error, 'invalid_timezone');
+});
+
+test('list, post and debug answer conditional requests with 304 and CORS headers', async () => {
+  let listCalls = 0;
+  const handler = createHandler({
+    getIndex: () => ({ rows: [], etag: 'abc123', _modifiedAt: '2024-05-01T10:00:00.000Z' }),
+    handleList: () => {
+      listCalls += 1;
+      return { ok: true, etag: 'abc123', posts: [] };
+    }
+  });
+  const env = { ALLOWED_ORIGINS: 'https://app.example' };
+
+  const fresh = await handler(new Request('https://example.com/v1/list?category=sours&page=3'), env);
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get('ETag'), 'W/"abc123"');
+  assert.equal(fresh.headers.get('Last-Modified'), 'Wed, 01 May 2024 10:00:00 GMT');
+
+  const cachedList = await handler(new Request('https://example.com/v1/list?category=sours&page=3', {
+    headers: { 'If-None-Match': '"other", W/"abc123"', Origin: 'https://app.example' }
+  }), env);
+  assert.equal(cachedList.status, 304);
+  assert.equal(cachedList.headers.get('Access-Control-Allow-Origin'), 'https://app.example');
+  assert.match(cachedList.headers.get('Access-Control-Expose-Headers'), /Last-Modified/);
+  assert.equal(listCalls, 1);
+
+  const cachedPost = await handler(new Request('https://example.com/v1/post/daiquiri', {
+    headers: { 'If-Modified-Since': 'Wed, 01 May 2024 12:00:00 GMT' }
+  }), env);
+  assert.equal(cachedPost.status, 304);
+
+  const stalePost = await handler(new Request('https://example.com/v1/post/daiquiri', {
+    headers: { 'If-None-Match': 'W/"old"', 'If-Modified-Since': 'Wed, 01 May 2024 12:00:00 GMT' }
+  }), env);
+  assert.equal(stalePost.status, 200);
+
+  const cachedDebug = await handler(new Request('https://example.com/v1/debug', {
+    headers: { 'If-None-Match': 'W/"abc123"' }
+  }), env);
+  assert.equal(cachedDebug.status, 304);
+});
+
+test('error responses carry no validators', async () => {
+  const handler = createHandler({
+    getIndex: () => ({ rows: [], etag: 'abc123' }),
+    handleList: () => ({ ok: false, code: 400, error: 'invalid_cursor' })
+  });
+
+  const response = await handler(new Request('https://example.com/v1/list?cursor=bogus'), {});
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get('ETag'), null);
+});
+
+test('/v1/posts passes repeated and comma-separated slugs through and hits the rate limiter once', async () => {
+  let limiterCalls = 0;
+  let received;
+  const handler = createHandler({
+    rateLimiter: () => {
+      limiterCalls += 1;
+      return null;
+    },
+    handlePost: () => { throw new Error('handlePost should not be called'); },
+    handlePosts: (qp) => {
+      received = qp.slugs;
+      return { ok: true, etag: 'etag', posts: [], missing: ['a', 'b', 'c'] };
+    }
+  });
+
+  const response = await handler(new Request('https://example.com/v1/posts?slugs=a,b&slugs=c'));
+  assert.equal(response.status, 200);
+  assert.deepEqual(received, ['a,b', 'c']);
+  assert.equal(limiterCalls, 1);
+});
+
+test('/v1/export requires EXPORT_KEY when configured', async () => {
+  const handler = createHandler({
+    handleExport: (qp) => ({
+      ok: true,
+      etag: 'abc',
+      contentType: 'text/csv; charset=utf-8',
+      filename: 'elixiary-abc.csv',
+      body: `format=${qp.format}`
+    })
+  });
+  const env = { EXPORT_KEY: 's3cret' };
+
+  const denied = await handler(new Request('https://example.com/v1/export?format=csv', {
+    headers: { Authorization: 'Bearer nope' }
+  }), env);
+  assert.equal(denied.status, 401);
+
+  const allowed = await handler(new Request('https://example.com/v1/export?format=csv', {
+    headers: { Authorization: 'Bearer s3cret' }
+  }), env);
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('Content-Disposition'), 'attachment; filename="elixiary-abc.csv"');
+  assert.equal(allowed.headers.get('Content-Type'), 'text/csv; charset=utf-8');
+  assert.equal(await allowed.text(), 'format=csv');
+});
+
+test('/v1/validation is only served with ADMIN_KEY', async () => {
+  const handler = createHandler({
+    handleValidation: () => ({ ok: true, etag: 'abc', error_count: 1, warning_count: 0, issues: [] })
+  });
+
+  const unconfigured = await handler(new Request('https://example.com/v1/validation?key=anything'), {});
+  assert.equal(unconfigured.status, 401);
+
+  const env = { ADMIN_KEY: 'admin' };
+  const denied = await handler(new Request('https://example.com/v1/validation?key=nope'), env);
+  assert.equal(denied.status, 401);
+  assert.equal(denied.headers.get('WWW-Authenticate'), 'Bearer');
+
+  const allowed = await handler(new Request('https://example.com/v1/validation', {
+    headers: { Authorization: 'Bearer admin' }
+  }), env);
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('Cache-Control'), 'no-store');
+  assert.equal((await allowed.json()).error_count, 1);
+});
+
+test('preview tokens from /v1/preview-token unlock uncached draft previews', async () => {
+  const calls = [];
+  const handler = createHandler({
+    handleList: (qp, _env, _ctx, options) => {
+      calls.push({ qp, options });
+      return { ok: true, total: 1, posts: [{ slug: 'gimlet' }], preview: options.preview };
+    },
+    handlePost: (slug, _qp, _env, _ctx, options) => ({ ok: true, post: { slug, status: 'draft' }, preview: options.preview }),
+    getIndex: () => ({ rows: [], etag: 'abc' })
+  });
+  const env = { ADMIN_KEY: 'admin', PREVIEW_SECRET: 'preview-secret' };
+
+  assert.equal((await handler(new Request('https://example.com/v1/preview-token'), env)).status, 401);
+  const unconfigured = await handler(new Request('https://example.com/v1/preview-token?key=admin'), { ADMIN_KEY: 'admin' });
+  assert.equal(unconfigured.status, 503);
+  assert.equal((await unconfigured.json()).error, 'preview_not_configured');
+
+  const issued = await handler(new Request('https://example.com/v1/preview-token?key=admin&ttl=600'), env);
+  assert.equal(issued.status, 200);
+  assert.equal(issued.headers.get('Cache-Control'), 'no-store');
+  const { token } = await issued.json();
+
+  const list = await handler(new Request(`https://example.com/v1/list?preview=${token}`), env);
+  assert.equal(list.status, 200);
+  assert.equal(list.headers.get('Cache-Control'), 'private, no-store');
+  assert.equal(list.headers.get('ETag'), null);
+  assert.deepEqual(calls[0], { qp: {}, options: { preview: true } });
+
+  const post = await handler(new Request('https://example.com/v1/post/gimlet', { headers: { 'X-Preview-Token': token } }), env);
+  assert.equal(post.headers.get('Cache-Control'), 'private, no-store');
+  assert.equal((await post.json()).post.status, 'draft');
+
+  const publicList = await handler(new Request('https://example.com/v1/list'), env);
+  assert.equal(publicList.headers.get('Cache-Control'), 'public, max-age=60');
+  assert.deepEqual(calls[1].options, { preview: false });
+
+  const forged = await handler(new Request('https://example.com/v1/list?preview=abc.def'), env);
+  assert.equal(forged.status, 401);
+  assert.equal((await forged.json()).error, 'invalid_preview_token');
+  assert.equal(calls.length, 2);
+});
+
+test('/v1/export without a key goes through a stricter, separate rate limit', async () => {
+  const calls = [];
+  const handler = createHandler({
+    rateLimiter: ({ env, ip }) => {
+      calls.push({ ip, limit: env.RL_LIMIT, window: env.RL_WINDOW_SEC });
+      return calls.length === 2 ? new Response('limited', { status: 429 }) : null;
+    }
+  });
+
+  const response = await handler(new Request('https://example.com/v1/export', {
+    headers: { 'CF-Connecting-IP': '9.9.9.9' }
+  }), { RL_LIMIT: '60' });
+  assert.equal(response.status, 429);
+  assert.deepEqual(calls[1], { ip: 'export:9.9.9.9', limit: 5, window: 3600 });
+});
+
+test('taxonomy routes map to their facet', async () => {
+  const seen = [];
+  const handler = createHandler({
+    handleTaxonomy: (facet) => {
+      seen.push(facet);
+      return { ok: true, etag: 'etag', facet, terms: [] };
+    }
+  });
+
+  for (const route of ['categories', 'tags', 'moods', 'glasses']) {
+    const response = await handler(new Request(`https://example.com/v1/${route}`));
+    assert.equal(response.status, 200);
+  }
+  assert.deepEqual(seen, ['category', 'tag', 'mood', 'glass']);
+
+  const unknown = await handler(new Request('https://example.com/v1/constructor'));
+  assert.equal(unknown.status, 404);
+});
+
+test('/v1/post/<old-slug> answers 301 with the canonical slug and a Location header', async () => {
+  const handler = createHandler({
+    getIndex: () => ({ rows: [], etag: 'abc' }),
+    handlePost: (slug) => (slug === 'old-name'
+      ? { ok: false, code: 301, error: 'moved_permanently', slug: 'new name' }
+      : { ok: true, post: { slug } })
+  });
+
+  const response = await handler(new Request('https://example.com/v1/post/old-name'));
+  assert.equal(response.status, 301);
+  assert.equal(response.headers.get('Location'), '/v1/post/new%20name');
+  assert.equal(response.headers.get('ETag'), null);
+  assert.equal((await response.json()).slug, 'new name');
+});